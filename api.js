@@ -1,38 +1,252 @@
+const path = require('path')
 const fetch = require('node-fetch')
+const ResponseCache = require('./cache')
+const RateLimiter = require('./ratelimit')
+const {
+    TMDbError,
+    TMDbAuthError,
+    TMDbNotFoundError,
+    TMDbRateLimitError,
+    TMDbNetworkError,
+    TMDbMalformedResponseError,
+    hideApiKey
+} = require('./errors')
+
+/**
+ * How long responses of the different endpoints are cached (ms)
+ */
+const defaultTTLs = {
+    search: 60 * 60 * 1000,
+    list: 30 * 60 * 1000,
+    details: 6 * 60 * 60 * 1000,
+    season: 6 * 60 * 60 * 1000,
+    releases: 12 * 60 * 60 * 1000,
+    providers: 12 * 60 * 60 * 1000
+}
+
+/**
+ * Options each search type accepts besides query and page
+ */
+const searchOptions = {
+    movie: ['year', 'region', 'include_adult', 'language'],
+    tv: ['first_air_date_year', 'include_adult', 'language'],
+    multi: ['region', 'include_adult', 'language']
+}
+
+/**
+ * Discover filters and the TMDb parameters they stand for, per type
+ */
+const discoverFilters = {
+    movie: {
+        genres: 'with_genres',
+        providers: 'with_watch_providers',
+        region: 'watch_region',
+        releaseFrom: 'primary_release_date.gte',
+        releaseTo: 'primary_release_date.lte',
+        minVotes: 'vote_count.gte',
+        minRating: 'vote_average.gte',
+        sortBy: 'sort_by'
+    },
+    tv: {
+        genres: 'with_genres',
+        networks: 'with_networks',
+        providers: 'with_watch_providers',
+        region: 'watch_region',
+        releaseFrom: 'first_air_date.gte',
+        releaseTo: 'first_air_date.lte',
+        minVotes: 'vote_count.gte',
+        minRating: 'vote_average.gte',
+        sortBy: 'sort_by'
+    }
+}
+
+/**
+ * Checks that responses have the fields the callers rely on
+ */
+const hasResults = body => Array.isArray(body.results)
+const hasId = body => typeof body.id !== 'undefined'
+const hasEpisodes = body => Array.isArray(body.episodes)
+const hasRegions = body => body.results !== null && typeof body.results === 'object'
+
+/**
+ * Create the error for a failed response
+ * @param {string} url Requested URL
+ * @param {Response} res Response with a non-2xx status
+ * @param {Object} body Parsed body, TMDb sends status_code and status_message (may be null)
+ */
+function createResponseError (url, res, body) {
+    let details = {
+        url: url,
+        status: res.status,
+        tmdbStatusCode: body && body.status_code
+    }
+    let message = 'TMDb request failed with status ' + res.status + (body && body.status_message ? ': ' + body.status_message : '')
+
+    if (res.status === 401) return new TMDbAuthError(message, details)
+    if (res.status === 404) return new TMDbNotFoundError(message, details)
+    if (res.status === 429) {
+        details.retryAfter = Number(res.headers.get('retry-after')) || null
+        return new TMDbRateLimitError(message, details)
+    }
+    return new TMDbError(message, details)
+}
+
+/**
+ * Wait for some time
+ * @param {Number} ms Milliseconds to wait
+ */
+function wait (ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+}
 
 class TMDb {
     /**
      * Small TMDb API wrapper
      * @param {string} key API key from TMDb
      * @param {string} lang Language code to use
+     * @param {Object} options regions: ordered list of preferred ISO 3166-1 region codes (default ['US', 'DE']),
+     *                         timezone: timezone for 'airing today', like 'Europe/Berlin' (TMDb default if not given),
+     *                         cache: directory of the response cache (default .tmdb-cache next to this file), false to disable,
+     *                         cacheLimits: { maxEntries, maxAge } of the response cache (see ResponseCache),
+     *                         ttl: cache time in ms per endpoint (search, list, details, season, releases, providers), 0 to not cache one,
+     *                         rateLimit: { maxRequests, interval } (default 40 requests per 1000 ms),
+     *                         retries: how often requests failing with 429, 5xx or network errors are retried (default 3),
+     *                         retryDelay: delay before the first retry in ms, doubled for each further one (default 500),
+     *                         baseUri: API URL (default https://api.themoviedb.org/3/), e. g. of a FakeTMDbServer,
+     *                         fetch: fetch implementation (default node-fetch)
      */
-    constructor (key, lang='en-US') {
+    constructor (key, lang='en-US', options={}) {
         this.apiKey = key
-        this.baseUri = 'https://api.themoviedb.org/3/'
+        this.baseUri = (options.baseUri || 'https://api.themoviedb.org/3/').replace(/\/?$/, '/')
+        this.fetch = options.fetch || fetch
         this.imageUri = 'https://image.tmdb.org/t/p/'
         this.language = lang
+        this.regions = options.regions || ['US', 'DE']
+        this.timezone = options.timezone || null
+        this.cache = null
+        if (options.cache !== false) {
+            this.cache = new ResponseCache(options.cache || path.resolve(__dirname, '.tmdb-cache'), options.cacheLimits)
+        }
+        this.ttl = Object.assign({}, defaultTTLs, options.ttl)
+        this.limiter = new RateLimiter(options.rateLimit)
+        this.retries = typeof options.retries === 'undefined' ? 3 : options.retries
+        this.retryDelay = typeof options.retryDelay === 'undefined' ? 500 : options.retryDelay
+    }
+
+    /**
+     * Build the URL of an API request with API key and language, all values are encoded
+     * @param {string} endpoint Path relative to the base URI, e. g. movie/550
+     * @param {Object} params Further query parameters, undefined and null values are left out
+     *                        (a language given here replaces the default one)
+     */
+    buildUrl (endpoint, params={}) {
+        let url = new URL(endpoint, this.baseUri)
+        url.searchParams.set('api_key', this.apiKey)
+        url.searchParams.set('language', this.language)
+        Object.keys(params).forEach(key => {
+            if (params[key] !== null && typeof params[key] !== 'undefined') url.searchParams.set(key, String(params[key]))
+        })
+        return url.href
     }
 
     /**
-     * Format the API key to use in request
+     * Get the endpoint group of an API URL, which decides how long it is cached
+     * @param {string} url API URL
+     * @returns {string} search, list, details, season or releases
      */
-    addKeyToUri () {
-        return '?api_key=' + this.apiKey
+    getEndpoint (url) {
+        let endpoint = new URL(url).pathname.substring(new URL(this.baseUri).pathname.length)
+        if (/^search\//.test(endpoint)) return 'search'
+        if (/^tv\/\d+\/season\//.test(endpoint)) return 'season'
+        if (/^movie\/\d+\/release_dates$/.test(endpoint)) return 'releases'
+        if (/^(movie|tv)\/\d+\/watch\/providers$/.test(endpoint) || /^watch\/providers\//.test(endpoint)) return 'providers'
+        if (/^(movie|tv)\/\d+$/.test(endpoint)) return 'details'
+        return 'list'
     }
 
     /**
-     * Format the language to use in request
+     * Fetch a URL through the rate limiter, retrying on 429, 5xx and network errors with exponential backoff
+     * @param {string} url URL to request from
+     * @param {Object} options fetch options
+     * @param {Number} attempt Number of the retry, 0 for the first try
      */
-    addLanguageToUri () {
-        return '&language=' + this.language
+    fetchWithRetry (url, options={}, attempt=0) {
+        let retry = delay => wait(delay).then(() => this.fetchWithRetry(url, options, attempt + 1))
+        let backoff = this.retryDelay * Math.pow(2, attempt)
+
+        return this.limiter.schedule(() => this.fetch(url, options)).then(res => {
+            if ((res.status === 429 || res.status >= 500) && attempt < this.retries) {
+                let retryAfter = Number(res.headers.get('retry-after'))
+                let delay = retryAfter > 0 ? retryAfter * 1000 : backoff
+                // a 429 affects all requests, not only this one
+                if (res.status === 429) this.limiter.pause(delay)
+                return retry(delay)
+            }
+            return res
+        }, err => {
+            if (attempt < this.retries) return retry(backoff)
+            throw err
+        })
     }
 
     /**
-     * Fetch data from the given API URL
+     * Fetch a URL and parse the JSON answer
+     * Rejects with a TMDbError (or one of its subclasses) if the request or the response is not usable
      * @param {string} url URL to request from
+     * @param {Object} headers Request headers
+     * @param {Function} validate Gets the parsed body, returns false if fields are missing (optional)
+     * @returns {Promise<Object>} Response and parsed body (null for 304)
      */
-    requestData (url) {
-        return fetch(url).then(res => res.json()).then(json => json)
+    fetchJson (url, headers={}, validate=null) {
+        return this.fetchWithRetry(url, { headers: headers }).catch(err => {
+            // fetch errors name the whole URL, key included
+            throw new TMDbNetworkError('Could not reach TMDb: ' + hideApiKey(err.message), { url: url, cause: err })
+        }).then(res => {
+            if (res.status === 304) return { res: res, body: null }
+            return res.text().then(text => {
+                let body = null
+                try {
+                    body = JSON.parse(text)
+                }
+                catch (err) {
+                    if (res.ok) throw new TMDbMalformedResponseError('TMDb sent invalid JSON', { url: url, status: res.status, cause: err })
+                }
+                if (!res.ok) throw createResponseError(url, res, body)
+                if (body === null || typeof body !== 'object' || (validate && !validate(body))) {
+                    throw new TMDbMalformedResponseError('TMDb sent an unexpected response', { url: url, status: res.status })
+                }
+                return { res: res, body: body }
+            })
+        })
+    }
+
+    /**
+     * Fetch data from the given API URL, answered from the cache while it is fresh
+     * Expired entries with an ETag are revalidated instead of fetched again
+     * @param {string} url URL to request from
+     * @param {Function} validate Gets the parsed body, returns false if fields are missing (optional)
+     * @returns {Promise<Object>} Parsed body, rejects with a TMDbError (see errors.js)
+     */
+    requestData (url, validate=null) {
+        let ttl = this.ttl[this.getEndpoint(url)]
+        if (!this.cache || !ttl) return this.fetchJson(url, {}, validate).then(result => result.body)
+
+        return this.cache.get(url).then(entry => {
+            if (entry && entry.expiresAt > Date.now()) return entry.body
+
+            let headers = {}
+            if (entry && entry.etag) headers['If-None-Match'] = entry.etag
+            return this.fetchJson(url, headers, validate).then(({ res, body }) => {
+                let fresh = res.status === 304 && entry ? entry : {
+                    body: body,
+                    etag: res.headers.get('etag'),
+                    expiresAt: 0
+                }
+                fresh.expiresAt = Date.now() + ttl
+                // a cache that can not be written only costs a request next time
+                return this.cache.set(url, fresh).then(() => fresh.body, () => fresh.body)
+            })
+        })
     }
 
     /**
@@ -41,7 +255,7 @@ class TMDb {
      * @param {string|Number} width Image width, e. g. 500
      */
     getImageLink (imageFilename, width) {
-        if (imageFilename === null) {
+        if (!imageFilename) {
             return 'https://www.themoviedb.org/assets/2/v4/glyphicons/basic/glyphicons-basic-38-picture-grey-c2ebdbb057f2a7614185931650f8cee23fa137b93812ccb132b9df511df1cfac.svg'
         }
         if (width === 'original') return this.imageUri + width + imageFilename
@@ -49,23 +263,28 @@ class TMDb {
     }
 
     /**
-     * Search through TMDb for movies or TV shows
-     * @param {string} type Type of search (movie or tv)
+     * Search through TMDb for movies, TV shows or everything at once (multi, also finds people)
+     * @param {string} type Type of search (movie, tv or multi)
      * @param {string} query The search term
-     * @param {string|Number} page What result page to return
+     * @param {string|Number} page What result page to return (default 1)
+     * @param {Object} options movie: year, region; tv: first_air_date_year; multi: region;
+     *                         all: include_adult (default false), language (default the one of this wrapper)
      */
-    search (type, query, page) {
-        return new Promise((resolve, reject) => {
-            let url = ''
-            if (type === 'movie') url = this.baseUri + 'search/movie'
-            else if (type === 'tv') url = this.baseUri + 'search/tv'
+    search (type, query, page=1, options={}) {
+        if (!searchOptions[type]) return Promise.reject(new Error('No valid search type given: ' + type))
+        if (typeof query !== 'string' || !query.trim()) return Promise.reject(new Error('No search query given'))
 
-            url += this.addKeyToUri() + this.addLanguageToUri() + '&query=' + query + '&page=' + page + '&include_adult=true'
+        let unsupported = Object.keys(options).filter(key => !searchOptions[type].includes(key))
+        if (unsupported.length) {
+            return Promise.reject(new Error('Not supported by ' + type + ' search: ' + unsupported.join(', ')))
+        }
 
-            resolve(
-                this.requestData(url).then(data => data)
-            )
-        })
+        let url = this.buildUrl('search/' + type, Object.assign({
+            query: query,
+            page: page,
+            include_adult: false
+        }, options))
+        return this.requestData(url, hasResults)
     }
 
     /**
@@ -73,36 +292,36 @@ class TMDb {
      * @param {string|Number} id TMDb show ID
      */
     getTVShowDetails (id) {
-        return new Promise((resolve, reject) => {
-            let url = this.baseUri + 'tv/' + id + this.addKeyToUri() + this.addLanguageToUri()
-            resolve(
-                this.requestData(url).then(data => data)
-            )
-        })
+        let url = this.buildUrl('tv/' + id)
+        return this.requestData(url, hasId)
+    }
+
+    /**
+     * Get details for a season of a TV show, including all its episodes
+     * @param {string|Number} id TMDb show ID
+     * @param {string|Number} seasonNumber Number of the season
+     */
+    getTVSeasonDetails (id, seasonNumber) {
+        let url = this.buildUrl('tv/' + id + '/season/' + seasonNumber)
+        return this.requestData(url, hasEpisodes)
     }
 
     /**
      * Get a list of shows that have an episode with an air date in the next 7 days
+     * @param {string|Number} page What result page to return (default 1)
      */
-    getTVOnTheAir () {
-        return new Promise((resolve, reject) => {
-            let url = this.baseUri + 'tv/on_the_air' + this.addKeyToUri() + this.addLanguageToUri() + '&page=1'
-            resolve(
-                this.requestData(url).then(data => data)
-            )
-        })
+    getTVOnTheAir (page=1) {
+        let url = this.buildUrl('tv/on_the_air', { page: page })
+        return this.requestData(url, hasResults)
     }
 
     /**
      * Get a list of TV shows that are airing today
+     * @param {string|Number} page What result page to return (default 1)
      */
-    getTVAiringToday () {
-        return new Promise((resolve, reject) => {
-            let url = this.baseUri + 'tv/airing_today' + this.addKeyToUri() + this.addLanguageToUri() + '&page=1' + '&timezone=DE'
-            resolve(
-                this.requestData(url).then(data => data)
-            )
-        })
+    getTVAiringToday (page=1) {
+        let url = this.buildUrl('tv/airing_today', { page: page, timezone: this.timezone })
+        return this.requestData(url, hasResults)
     }
 
     /**
@@ -110,12 +329,8 @@ class TMDb {
      * @param {string|Number} id TMDb movie ID
      */
     getMovieDetails (id) {
-        return new Promise((resolve, reject) => {
-            let url = this.baseUri + 'movie/' + id + this.addKeyToUri() + this.addLanguageToUri()
-            resolve(
-                this.requestData(url).then(data => data)
-            )
-        })
+        let url = this.buildUrl('movie/' + id)
+        return this.requestData(url, hasId)
     }
 
     /**
@@ -130,24 +345,88 @@ class TMDb {
      * @param {string|Number} id TMDb movie ID
      */
     getMovieReleases (id) {
-        return new Promise((resolve, reject) => {
-            let url = this.baseUri + 'movie/' + id + '/release_dates' + this.addKeyToUri() + this.addLanguageToUri()
-            resolve(
-                this.requestData(url).then(data => data)
-            )
-        })
+        let url = this.buildUrl('movie/' + id + '/release_dates')
+        return this.requestData(url, hasResults)
     }
 
     /**
      * Get upcoming movies
+     * @param {string|Number} page What result page to return (default 1)
+     */
+    getMovieUpcoming (page=1) {
+        let url = this.buildUrl('movie/upcoming', { page: page })
+        return this.requestData(url, hasResults)
+    }
+
+    /**
+     * Get the streaming services, shops and channels that offer a movie or show, per region
+     * @param {string} type movie or tv
+     * @param {string|Number} id TMDb movie or show ID
+     * @returns {Promise<Object>} results keyed by region, each with link and lists of providers per offer type
+     *                            (flatrate, free, ads, rent, buy)
+     */
+    getWatchProviders (type, id) {
+        if (type !== 'movie' && type !== 'tv') return Promise.reject(new Error('No valid watch provider type given: ' + type))
+        return this.requestData(this.buildUrl(type + '/' + id + '/watch/providers'), hasRegions)
+    }
+
+    /**
+     * Get all watch providers TMDb knows for movies or shows, e. g. to look up the IDs of subscribed services
+     * @param {string} type movie or tv
+     * @param {string} region Region of the providers (default the first preferred region)
      */
-    getMovieUpcoming () {
-        return new Promise((resolve, reject) => {
-            let url = this.baseUri + 'movie/upcoming' + this.addKeyToUri() + this.addLanguageToUri() + '&page=1'
-            resolve(
-                this.requestData(url).then(data => data)
-            )
+    getWatchProviderList (type, region=this.regions[0]) {
+        if (type !== 'movie' && type !== 'tv') return Promise.reject(new Error('No valid watch provider type given: ' + type))
+        return this.requestData(this.buildUrl('watch/providers/' + type, { watch_region: region }), hasResults)
+    }
+
+    /**
+     * Discover movies or shows by filters
+     * @param {string} type movie or tv
+     * @param {Object} filters genres, networks (tv only), providers (lists of TMDb IDs match any of them, strings are
+     *                         passed as they are), region (of the providers, default the first preferred region),
+     *                         releaseFrom, releaseTo (YYYY-MM-DD), minVotes, minRating, sortBy (e. g. popularity.desc)
+     * @param {string|Number} page What result page to return (default 1)
+     */
+    discover (type, filters={}, page=1) {
+        let names = discoverFilters[type]
+        if (!names) return Promise.reject(new Error('No valid discover type given: ' + type))
+
+        let unsupported = Object.keys(filters).filter(key => !names[key])
+        if (unsupported.length) {
+            return Promise.reject(new Error('Not supported by ' + type + ' discover: ' + unsupported.join(', ')))
+        }
+
+        let params = { page: page }
+        Object.keys(filters).forEach(key => {
+            let value = filters[key]
+            params[names[key]] = Array.isArray(value) ? value.join('|') : value
         })
+        // TMDb ignores providers without a region
+        if (filters.providers && !filters.region) params.watch_region = this.regions[0]
+        return this.requestData(this.buildUrl('discover/' + type, params), hasResults)
+    }
+
+    /**
+     * Get the trending movies and / or shows
+     * @param {string} type all, movie or tv
+     * @param {string} timeWindow day or week
+     * @param {string|Number} page What result page to return (default 1)
+     */
+    getTrending (type='all', timeWindow='week', page=1) {
+        if (!['all', 'movie', 'tv'].includes(type)) return Promise.reject(new Error('No valid trending type given: ' + type))
+        if (!['day', 'week'].includes(timeWindow)) return Promise.reject(new Error('No valid time window given: ' + timeWindow))
+        return this.requestData(this.buildUrl('trending/' + type + '/' + timeWindow, { page: page }), hasResults)
+    }
+
+    /**
+     * Get the popular movies or shows
+     * @param {string} type movie or tv
+     * @param {string|Number} page What result page to return (default 1)
+     */
+    getPopular (type, page=1) {
+        if (type !== 'movie' && type !== 'tv') return Promise.reject(new Error('No valid popular type given: ' + type))
+        return this.requestData(this.buildUrl(type + '/popular', { page: page }), hasResults)
     }
 }
 
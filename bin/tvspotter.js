@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const TVspotter = require('../index')
+const { describeStatus } = require('../status')
+
+const usage = `Usage: tvspotter <command> [options]
+
+Commands:
+  search <movie|tv|multi> <query>
+                              Search TMDb (--page <n>, --year <year>, --region <code>, --language <code>, --adult)
+  add <movie|tv> <id>         Check an item and add it to the watchlist
+  remove <movie|tv> <id>      Remove an item and its calendar events
+  list [movie|tv]             Show the watchlist (--state <state,...>, --within <days>, --name <text>,
+                              --sort added|name|release, --order asc|desc, --limit <n>, --offset <n>)
+  check <movie|tv> <id>       Check an item now (updates it if on the watchlist)
+  refresh                     Re-check every item on the watchlist
+  init [--reset]              Migrate the database to the latest schema (--reset deletes all data)
+  export [file]               Write all upcoming releases as iCalendar (.ics), to stdout without file
+  providers <movie|tv> [id]   List the watch providers of a region (--region <code>), with ID those offering the item
+  users                       List the users with their calendar and notifiers
+
+Options:
+  --json                      Print JSON instead of a table
+  --days <n>                  Days before a release that count as close (default 7)
+  --user <name>               Watchlist of this user for add, remove, list and export
+                              (add defaults to the default user, the others to all users)
+  --config <file>             Config file (default $TVSPOTTER_CONFIG or ~/.tvspotter.json)
+  --help                      Show this help
+
+The config file is JSON with davServerUrl, davUser, davPassword, lang and the further TVspotter options,
+users lists further users with their own CalDAV account and notifiers.
+TVSPOTTER_DAV_URL, TVSPOTTER_DAV_USER, TVSPOTTER_DAV_PASSWORD and TVSPOTTER_LANG override it.`
+
+class UsageError extends Error {
+    /**
+     * Error caused by wrong usage of the CLI
+     * @param {string} message Error message
+     */
+    constructor (message) {
+        super(message)
+        this.name = 'UsageError'
+    }
+}
+
+/**
+ * Split command line arguments into positional arguments and options
+ * @param {Array<string>} argv Arguments without node and script path
+ */
+function parseArgs (argv) {
+    const flags = ['json', 'reset', 'help', 'adult']
+    const valueOptions = ['page', 'limit', 'order', 'days', 'config', 'year', 'region', 'language', 'state', 'within', 'name', 'sort', 'offset', 'user']
+    let args = []
+    let options = {}
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i]
+        if (!arg.startsWith('--')) {
+            args.push(arg)
+            continue
+        }
+
+        let [name, value] = arg.substring(2).split(/=(.*)/)
+        if (flags.includes(name)) options[name] = true
+        else if (valueOptions.includes(name)) {
+            if (typeof value === 'undefined') value = argv[++i]
+            if (typeof value === 'undefined') throw new UsageError('Missing value for --' + name)
+            options[name] = value
+        }
+        else throw new UsageError('Unknown option --' + name)
+    }
+    return { args, options }
+}
+
+/**
+ * Load the configuration from file and environment
+ * @param {string} file Path of the config file (optional)
+ */
+function loadConfig (file) {
+    let config = {}
+    let configFile = file || process.env.TVSPOTTER_CONFIG || path.join(os.homedir(), '.tvspotter.json')
+    if (fs.existsSync(configFile)) {
+        config = JSON.parse(fs.readFileSync(configFile, 'utf8'))
+    }
+    else if (file) throw new UsageError('Config file not found: ' + file)
+
+    const env = {
+        TVSPOTTER_DAV_URL: 'davServerUrl',
+        TVSPOTTER_DAV_USER: 'davUser',
+        TVSPOTTER_DAV_PASSWORD: 'davPassword',
+        TVSPOTTER_LANG: 'lang'
+    }
+    Object.keys(env).forEach(name => {
+        if (process.env[name]) config[env[name]] = process.env[name]
+    })
+    config.onNotifierError = (err, notifier) => {
+        console.error('Notifier ' + notifier.name + ' failed: ' + (err instanceof Error ? err.message : err))
+    }
+    return config
+}
+
+/**
+ * Check and return the mode argument
+ * @param {string} value movie or tv
+ */
+function parseMode (value) {
+    if (value === 'movie' || value === 'tv') return value
+    throw new UsageError('Type must be "movie" or "tv"')
+}
+
+/**
+ * Check and return a positive integer argument
+ * @param {string} value Raw value
+ * @param {string} name Name for the error message
+ */
+function parseNumber (value, name) {
+    let number = Number(value)
+    if (!Number.isInteger(number) || number < 0) throw new UsageError(name + ' must be a positive number')
+    return number
+}
+
+/**
+ * Format rows as a plain text table
+ * @param {Array<string>} headers Column headers
+ * @param {Array<Array>} rows Row values
+ */
+function formatTable (headers, rows) {
+    let cells = rows.map(row => row.map(value => value === null || typeof value === 'undefined' ? '' : String(value)))
+    let widths = headers.map((header, i) => Math.max(header.length, ...cells.map(row => row[i].length)))
+    let line = row => row.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd()
+    return [line(headers), line(widths.map(width => '-'.repeat(width)))].concat(cells.map(line)).join('\n')
+}
+
+/**
+ * Format a movie or show row for the table output
+ * @param {Object} item Row of the watchlist or result of a check
+ * @param {string} mode movie or tv
+ */
+function formatItem (item, mode) {
+    let release = mode === 'tv' ? [item.nextEpisode, item.nextRelease].filter(Boolean).join(' ') : (item.status.date || '')
+    return [item.tmdbId, mode, item.name, release, describeStatus(item.status)]
+}
+
+/**
+ * Turn a command result into text output
+ * @param {string} command Command name
+ * @param {*} result Result of the command
+ * @param {Object} context Parsed arguments of the command
+ */
+function formatResult (command, result, context) {
+    switch (command) {
+        case 'search':
+            return formatTable(['ID', 'Type', 'Name', 'Original name', 'First release', 'Tracked'], result.items.map(item => {
+                return [item.id, item.mediaType, item.name, item.originalName, item.firstRelease, item.tracked ? 'yes' : '']
+            })) + '\nPage ' + context.page + ' of ' + result.pages + ' (' + result.resultCount + ' results)'
+        case 'add':
+        case 'check':
+            return formatTable(['ID', 'Type', 'Name', 'Release', 'Status'], [formatItem(result, context.mode)])
+        case 'remove':
+            return 'Removed ' + context.mode + ' ' + context.id + ' (' + result + ' calendar events deleted)'
+        case 'list':
+            return formatTable(['ID', 'Type', 'Name', 'Release', 'Status'], result.map(item => formatItem(item, item.mode)))
+        case 'refresh':
+            return 'Checked ' + result.checked + ', changed ' + result.changed.length + ', failed ' + result.failed.length +
+                   result.changed.map(item => '\n  ' + item.name + ': ' + item.changes.map(change => change.field).join(', ')).join('') +
+                   result.failed.map(item => '\n  ' + item.name + ' failed: ' + item.error).join('')
+        case 'init':
+            return (context.reset ? 'Database reset' : 'Database ready') + ' (schema version ' + result.to + ')'
+        case 'export':
+            return context.file ? 'Calendar written to ' + context.file : result.trimEnd()
+        case 'providers':
+            if (context.id) {
+                return formatTable(['ID', 'Provider', 'Region', 'Offer', 'Since'], result.map(row => {
+                    return [row.providerId, row.providerName, row.region, row.offerType, row.since]
+                }))
+            }
+            return formatTable(['ID', 'Provider'], result.map(provider => [provider.id, provider.name]))
+        case 'users':
+            return formatTable(['User', 'Calendar', 'Notifiers'], result.map(user => {
+                return [user.name, user.calendar, user.notifiers.join(', ')]
+            }))
+        default:
+            return ''
+    }
+}
+
+/**
+ * Run a command
+ * @param {TVspotter} spotter Ready TVspotter instance
+ * @param {string} command Command name
+ * @param {Array<string>} args Positional arguments after the command
+ * @param {Object} options Parsed options
+ * @returns {Promise<Object>} Result and the parsed arguments for formatting
+ */
+function runCommand (spotter, command, args, options) {
+    let days = options.days ? parseNumber(options.days, '--days') : 7
+    let context = {}
+
+    switch (command) {
+        case 'search': {
+            context.mode = args[0] === 'multi' ? 'multi' : parseMode(args[0])
+            context.page = options.page ? parseNumber(options.page, '--page') : 1
+            let query = args.slice(1).join(' ')
+            if (!query) throw new UsageError('Missing search query')
+
+            let searchOptions = {}
+            if (options.year) {
+                if (context.mode === 'multi') throw new UsageError('--year can not be used with multi search')
+                searchOptions[context.mode === 'tv' ? 'first_air_date_year' : 'year'] = parseNumber(options.year, '--year')
+            }
+            if (options.region) {
+                if (context.mode === 'tv') throw new UsageError('--region can not be used with tv search')
+                searchOptions.region = options.region
+            }
+            if (options.language) searchOptions.language = options.language
+            if (options.adult) searchOptions.include_adult = true
+            return spotter.search(context.mode, query, context.page, searchOptions).then(result => ({ result, context }))
+        }
+        case 'add':
+        case 'check':
+        case 'remove': {
+            context.mode = parseMode(args[0])
+            context.id = parseNumber(args[1], 'ID')
+            if (command === 'add') return spotter.track(context.id, context.mode, days, options.user).then(result => ({ result, context }))
+            if (command === 'check') return spotter.checkItem(context.id, context.mode, days).then(result => ({ result, context }))
+            return spotter.checkIfStored(context.id, context.mode, options.user).then(isStored => {
+                if (!isStored) throw new Error(context.mode + ' ' + context.id + ' is not on the watchlist')
+                return spotter.removeStored(context.id, context.mode, options.user)
+            }).then(result => ({ result, context }))
+        }
+        case 'list': {
+            let order = (options.order || 'asc').toUpperCase()
+            if (order !== 'ASC' && order !== 'DESC') throw new UsageError('--order must be asc or desc')
+            let query = {
+                limit: options.limit ? parseNumber(options.limit, '--limit') : 0,
+                offset: options.offset ? parseNumber(options.offset, '--offset') : 0,
+                sortBy: options.sort || 'added',
+                order: order
+            }
+            if (!['added', 'name', 'release'].includes(query.sortBy)) throw new UsageError('--sort must be added, name or release')
+            if (options.state) query.state = options.state.split(',')
+            if (options.within) query.withinDays = parseNumber(options.within, '--within')
+            if (options.name) query.name = options.name
+            if (options.user) query.user = options.user
+            let modes = args[0] ? [parseMode(args[0])] : ['movie', 'tv']
+            return Promise.all(modes.map(mode => {
+                let read = mode === 'movie' ? spotter.readMovies(query) : spotter.readTV(query)
+                return read.then(rows => rows.map(row => Object.assign({ mode: mode }, row)))
+            })).then(lists => ({ result: [].concat(...lists), context }))
+        }
+        case 'refresh':
+            return spotter.refreshAll(days).then(result => ({ result, context }))
+        case 'init':
+            context.reset = !!options.reset
+            return spotter.initialise(context.reset).then(migration => {
+                return { result: Object.assign({ reset: context.reset }, migration), context }
+            })
+        case 'export':
+            context.file = args[0]
+            if (context.file) return spotter.exportCalendarToFile(context.file, options.user).then(result => ({ result, context }))
+            return spotter.exportCalendar(options.user).then(result => ({ result, context }))
+        case 'providers':
+            context.mode = parseMode(args[0])
+            if (args[1]) {
+                // the stored providers are as of the last check of the item
+                context.id = parseNumber(args[1], 'ID')
+                return spotter.readProviders(context.id, context.mode, options.region).then(result => ({ result, context }))
+            }
+            return spotter.getWatchProviderList(context.mode, options.region).then(result => ({ result, context }))
+        case 'users':
+            return Promise.resolve({ result: spotter.listUsers(), context })
+        default:
+            throw new UsageError('Unknown command: ' + command)
+    }
+}
+
+/**
+ * Entry point
+ * @param {Array<string>} argv Arguments without node and script path
+ */
+function main (argv) {
+    let parsed = null
+    try {
+        parsed = parseArgs(argv)
+    }
+    catch (err) {
+        return Promise.reject(err)
+    }
+
+    let { args, options } = parsed
+    let command = args.shift()
+    if (!command || options.help || command === 'help') {
+        console.log(usage)
+        return Promise.resolve()
+    }
+
+    const commands = ['search', 'add', 'remove', 'list', 'check', 'refresh', 'init', 'export', 'providers', 'users']
+    if (!commands.includes(command)) return Promise.reject(new UsageError('Unknown command: ' + command))
+
+    return Promise.resolve().then(() => {
+        return TVspotter.create(loadConfig(options.config))
+    }).then(spotter => runCommand(spotter, command, args, options).then(({ result, context }) => {
+        if (options.json && command !== 'export') console.log(JSON.stringify(result, null, 2))
+        else console.log(formatResult(command, result, context))
+    }).then(() => spotter.close(), err => spotter.close().then(() => {
+        throw err
+    })))
+}
+
+main(process.argv.slice(2)).catch(err => {
+    console.error('Error: ' + (err instanceof Error ? err.message : err))
+    if (err instanceof UsageError) console.error('\n' + usage)
+    process.exitCode = err instanceof UsageError ? 2 : 1
+})
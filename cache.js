@@ -0,0 +1,100 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+/**
+ * How many writes pass between two prunings of the cache
+ */
+const pruneInterval = 100
+
+class ResponseCache {
+    /**
+     * Cache of API responses on disk, one JSON file per URL
+     * Entries that were not written for maxAge are deleted, as are the oldest ones beyond maxEntries
+     * @param {string} dir Directory of the cache files (created if missing)
+     * @param {Object} options maxEntries (default 1000), maxAge (ms, default 30 days)
+     */
+    constructor (dir, options={}) {
+        this.dir = dir
+        this.maxEntries = options.maxEntries || 1000
+        this.maxAge = options.maxAge || 30 * 24 * 60 * 60 * 1000
+        this.dirReady = null
+        this.writes = 0
+    }
+
+    /**
+     * Get the file of a cached URL, the name is hashed so API keys do not end up in file names
+     * @param {string} url Requested URL
+     */
+    getFile (url) {
+        return path.join(this.dir, crypto.createHash('sha1').update(url).digest('hex') + '.json')
+    }
+
+    /**
+     * Read a cached response
+     * @param {string} url Requested URL
+     * @returns {Promise<Object|null>} Entry with body, etag and expiresAt (ms), null if not cached or unreadable
+     */
+    get (url) {
+        return fs.promises.readFile(this.getFile(url), 'utf8').then(data => JSON.parse(data)).catch(() => null)
+    }
+
+    /**
+     * Store a response
+     * @param {string} url Requested URL
+     * @param {Object} entry body, etag (may be null) and expiresAt (ms)
+     */
+    set (url, entry) {
+        if (!this.dirReady) this.dirReady = fs.promises.mkdir(this.dir, { recursive: true })
+        // write to a temporary file first so concurrent reads never see half written data
+        let file = this.getFile(url)
+        let tmpFile = file + '.' + process.pid + '.tmp'
+        let write = this.dirReady.then(() => {
+            return fs.promises.writeFile(tmpFile, JSON.stringify(entry), 'utf8')
+        }).then(() => fs.promises.rename(tmpFile, file))
+
+        // the first write of a process prunes as well, so short runs like the CLI keep the cache small too
+        if (this.writes++ % pruneInterval !== 0) return write
+        return write.then(() => this.prune().catch(() => 0))
+    }
+
+    /**
+     * Delete the entries that were not written for maxAge and the oldest ones beyond maxEntries
+     * Every revalidation writes an entry again, so the oldest ones are those no longer requested
+     * @returns {Promise<Number>} Number of deleted entries
+     */
+    prune () {
+        return fs.promises.readdir(this.dir).catch(() => []).then(files => {
+            return Promise.all(files.filter(file => file.endsWith('.json')).map(file => {
+                let fullPath = path.join(this.dir, file)
+                return fs.promises.stat(fullPath).then(stats => ({ path: fullPath, writtenAt: stats.mtimeMs }), () => null)
+            }))
+        }).then(entries => {
+            let now = Date.now()
+            entries = entries.filter(entry => entry !== null).sort((a, b) => b.writtenAt - a.writtenAt)
+            let toDelete = entries.filter((entry, i) => i >= this.maxEntries || now - entry.writtenAt > this.maxAge)
+            return Promise.all(toDelete.map(entry => fs.promises.unlink(entry.path).then(() => 1, () => 0)))
+        }).then(counts => counts.reduce((sum, count) => sum + count, 0))
+    }
+
+    /**
+     * Delete all cached responses, or only the expired ones that can not be revalidated
+     * @param {boolean} expiredOnly True => keep entries that are still valid or have an ETag
+     * @returns {Promise<Number>} Number of deleted entries
+     */
+    clear (expiredOnly=false) {
+        return fs.promises.readdir(this.dir).catch(() => []).then(files => {
+            let now = Date.now()
+            return Promise.all(files.filter(file => file.endsWith('.json')).map(file => {
+                let fullPath = path.join(this.dir, file)
+                let check = expiredOnly ? fs.promises.readFile(fullPath, 'utf8').then(data => {
+                    let entry = JSON.parse(data)
+                    return entry.expiresAt <= now && !entry.etag
+                }).catch(() => true) : Promise.resolve(true)
+                return check.then(remove => remove ? fs.promises.unlink(fullPath).then(() => 1) : 0)
+            }))
+        }).then(counts => counts.reduce((sum, count) => sum + count, 0))
+    }
+}
+
+module.exports = ResponseCache
@@ -1,5 +1,55 @@
 const dav = require('dav')
 const {v4: uuidv4} = require('uuid')
+const ical = require('./ical')
+
+/**
+ * Escape special characters for use in XML text
+ * @param {string} text Text to escape
+ */
+function escapeXml (text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
+
+/**
+ * Alarm of events without configured alarms: in the morning of the day
+ */
+const defaultAlarms = [{ daysBefore: 0, time: '09:00', action: 'DISPLAY' }]
+
+/**
+ * Build the iCalendar data of an all-day event
+ * @param {string} uid Unique ID of the event
+ * @param {Object} data Should contain 'summary', 'description', 'start', 'end' (last day, inclusive) properties,
+ *                      may contain 'url', 'image' (poster URL) and 'alarms' (see ical.buildAlarm)
+ */
+function buildEventData (uid, data) {
+    return ical.buildCalendar([{
+        uid: uid,
+        start: data.start,
+        end: ical.addDays(data.end, 1),
+        summary: data.summary,
+        description: data.description,
+        url: data.url,
+        image: data.image,
+        alarms: data.alarms || defaultAlarms
+    }])
+}
+
+/**
+ * Parse the events of a calendar object, broken data counts as no events
+ * @param {dav.CalendarObject} calendarObject DAV calendar object
+ */
+function parseObjectEvents (calendarObject) {
+    try {
+        return ical.parseEvents(calendarObject.calendarData || '')
+    }
+    catch (err) {
+        return []
+    }
+}
 
 class DAVClient {
     /**
@@ -15,11 +65,42 @@ class DAVClient {
             password: passwd
         }))
         this.client = new dav.Client(this.xhr)
-        this.client.createAccount({
+        this.caldavAccount = null
+        this.accountFailed = false
+        this.accountReady = this.loadAccount()
+    }
+
+    /**
+     * Load the CalDAV account with its calendars
+     * @returns {Promise<dav.Account>} Resolves with the account, rejects if it could not be loaded
+     */
+    loadAccount () {
+        let loading = this.client.createAccount({
             server: this.url,
             accountType: 'caldav',
             loadObjects: true
-        }).then(account => this.caldavAccount = account)
+        }).then(account => {
+            this.caldavAccount = account
+            return account
+        }).catch(err => {
+            this.accountFailed = true
+            throw new Error('Could not load CalDAV account from ' + this.url + ': ' + (err && err.message ? err.message : err))
+        })
+        // rejection is handled by whoever waits for ready()
+        loading.catch(() => {})
+        return loading
+    }
+
+    /**
+     * Wait until the CalDAV account with its calendars is loaded, an account that failed to load is loaded again
+     * @returns {Promise<dav.Account>} Resolves with the account, rejects if it could not be loaded
+     */
+    ready () {
+        if (this.accountFailed) {
+            this.accountFailed = false
+            this.accountReady = this.loadAccount()
+        }
+        return this.accountReady
     }
 
     /**
@@ -37,28 +118,127 @@ class DAVClient {
         return this.caldavAccount.calendars
     }
 
+    /**
+     * Find an existing calendar by its URL or display name (URL takes precedence)
+     * @param {Object<string>} options May contain 'url' and / or 'name'
+     * @returns {dav.Calendar|undefined} The calendar if found
+     */
+    findCalendar (options) {
+        let calendars = this.getCalendars()
+        if (options.url) {
+            let wanted = new URL(options.url, this.url).href.replace(/\/?$/, '/')
+            return calendars.filter(cal => new URL(cal.url, this.url).href.replace(/\/?$/, '/') === wanted)[0]
+        }
+        return calendars.filter(cal => cal.displayName === options.name)[0]
+    }
+
+    /**
+     * Create a new calendar in the calendar home of this account via MKCALENDAR
+     * @param {Object<string>} options Should contain 'name', may contain 'color' (like #ff0000) and 'description'
+     * @returns {Promise<dav.Calendar>} The newly created calendar
+     */
+    createCalendar (options) {
+        let calendarUrl = new URL(uuidv4() + '/', this.caldavAccount.homeUrl).href
+        let props = '<D:displayname>' + escapeXml(options.name) + '</D:displayname>\n'
+        if (options.description) {
+            props += '<C:calendar-description>' + escapeXml(options.description) + '</C:calendar-description>\n'
+        }
+        if (options.color) {
+            props += '<A:calendar-color>' + escapeXml(options.color) + '</A:calendar-color>\n'
+        }
+        props += '<C:supported-calendar-component-set><C:comp name="VEVENT"/></C:supported-calendar-component-set>\n'
+
+        let body = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                   '<C:mkcalendar xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav" xmlns:A="http://apple.com/ns/ical/">\n' +
+                   '<D:set>\n<D:prop>\n' + props + '</D:prop>\n</D:set>\n' +
+                   '</C:mkcalendar>\n'
+
+        let request = new dav.Request({
+            method: 'MKCALENDAR',
+            requestData: body,
+            transformRequest: xhr => xhr.setRequestHeader('Content-Type', 'application/xml;charset=utf-8')
+        })
+
+        return this.client.send(request, calendarUrl).then(() => {
+            // reload the calendar list so the new one is a proper dav.Calendar
+            return this.client.syncCaldavAccount(this.caldavAccount)
+        }).then(account => {
+            this.caldavAccount = account
+            let calendar = this.findCalendar({ url: calendarUrl })
+            if (!calendar) throw new Error('Calendar "' + options.name + '" was created but could not be loaded')
+            return calendar
+        })
+    }
+
+    /**
+     * Get a calendar by URL or name and create it if it does not exist yet
+     * @param {Object} options 'url' or 'name' to look for, 'color' and 'description' for creation,
+     *                         'create' (default true) to allow creating a missing calendar
+     * @returns {Promise<dav.Calendar>} The found or created calendar
+     */
+    ensureCalendar (options) {
+        return this.ready().then(() => {
+            let calendar = this.findCalendar(options)
+            if (calendar) return calendar
+
+            if (options.url) throw new Error('No calendar found at ' + options.url)
+            if (options.create === false) throw new Error('No calendar named "' + options.name + '" found on the CalDAV server')
+            return this.createCalendar(options)
+        })
+    }
+
     /**
      * Create a new calendar event
      * @param {dav.Calendar} calendar DAV calendar object
-     * @param {Object<string>} data Should contain 'summary', 'description', 'start', 'end' properties
+     * @param {Object} data Should contain 'summary', 'description', 'start', 'end' (last day, inclusive) properties,
+     *                      may contain 'uid' (a new one is generated otherwise), 'url', 'image' and 'alarms' (see ical.buildAlarm)
      */
     createEvent (calendar, data) {
-        let uid = uuidv4()
-        const alarmValue = 'T1H'
-        let eventData = 'BEGIN:VCALENDAR\n' +
-                        'BEGIN:VEVENT\n' +
-                        'UID:' + uid + '\n' +
-                        'SUMMARY:' + data.summary + '\n' +
-                        'DESCRIPTION:' + data.description + '\n' + 
-                        'DTSTART;VALUE=DATE:' + data.start.replace(/-/g, '') + '\n' +
-                        'DTEND;VALUE=DATE:' + data.end.replace(/-/g, '') + '\n' +
-                        'BEGIN:VALARM\n' +
-                        'TRIGGER;VALUE=DURATION:-P' + alarmValue + '\n' +
-                        'ACTION:DISPLAY\n' +
-                        'END:VALARM\n' +
-                        'END:VEVENT\n' +
-                        'END:VCALENDAR\n'
-        return this.client.createCalendarObject(calendar, { data: eventData, filename: uid + '.ics' })
+        let uid = data.uid || uuidv4()
+        return this.client.createCalendarObject(calendar, { data: buildEventData(uid, data), filename: uid + '.ics' })
+    }
+
+    /**
+     * Find the calendar object of an event by its UID
+     * @param {dav.Calendar} calendar DAV calendar object
+     * @param {string} uid Unique ID of the event
+     * @returns {dav.CalendarObject|undefined} The calendar object if found
+     */
+    findEvent (calendar, uid) {
+        return calendar.objects.filter(obj => {
+            return obj.url.endsWith('/' + uid + '.ics') || parseObjectEvents(obj).some(event => event.uid === uid)
+        })[0]
+    }
+
+    /**
+     * Replace the content of an existing event, creates it if it does not exist (anymore)
+     * @param {dav.Calendar} calendar DAV calendar object
+     * @param {string} uid Unique ID of the event
+     * @param {Object} data Should contain 'summary', 'description', 'start', 'end' (last day, inclusive) properties,
+     *                      may contain 'url', 'image' (poster URL) and 'alarms' (see ical.buildAlarm)
+     */
+    updateEvent (calendar, uid, data) {
+        let event = this.findEvent(calendar, uid)
+        if (!event) return this.createEvent(calendar, Object.assign({}, data, { uid: uid }))
+
+        event.calendarData = buildEventData(uid, data)
+        return this.client.updateCalendarObject(event)
+    }
+
+    /**
+     * Delete an event from the calendar
+     * @param {dav.Calendar} calendar DAV calendar object
+     * @param {string} uid Unique ID of the event
+     * @returns {Promise<boolean>} True if deleted, false if it did not exist
+     */
+    deleteEvent (calendar, uid) {
+        let event = this.findEvent(calendar, uid)
+        if (!event) return Promise.resolve(false)
+
+        return this.client.deleteCalendarObject(event).then(() => {
+            calendar.objects = calendar.objects.filter(obj => obj !== event)
+            return true
+        })
     }
 
     /**
@@ -67,15 +247,11 @@ class DAVClient {
      * @param {Object<string>} data Should contain 'summary', 'start', 'end' properties
      */
     checkIfEventExists (calendar, data) {
-        let events = calendar.objects.filter(obj => obj.calendarData.includes(data.summary))
-        let found = false
-        events.forEach(event => {
-            let hasSameStartDate = event.calendarData.includes('DTSTART;VALUE=DATE:' + data.start.replace(/-/g, ''))
-            let hasSameEndDate = event.calendarData.includes('DTEND;VALUE=DATE:' + data.end.replace(/-/g, ''))
-
-            if (hasSameStartDate && hasSameEndDate) found = true
-        })
-        return found
+        // DTEND is exclusive, older events of TVspotter used the last day itself
+        let ends = [ical.addDays(data.end, 1), data.end]
+        return calendar.objects.some(obj => parseObjectEvents(obj).some(event => {
+            return event.summary === data.summary && event.start === data.start && ends.includes(event.end)
+        }))
     }
 }
 
@@ -0,0 +1,134 @@
+class NoReleaseRegionError extends Error {
+    /**
+     * Thrown if a movie has no release dates for any of the preferred regions
+     * @param {string|Number} tmdbId TMDb movie ID
+     * @param {Array<string>} regions Preferred regions that were looked for
+     * @param {Array<string>} availableRegions Regions TMDb has release dates for
+     */
+    constructor (tmdbId, regions, availableRegions) {
+        super('No releases for ' + regions.join(', ') + ' found for movie ' + tmdbId +
+              (availableRegions.length ? ' (available: ' + availableRegions.join(', ') + ')' : ''))
+        this.name = 'NoReleaseRegionError'
+        this.code = 'NO_RELEASE_REGION'
+        this.tmdbId = tmdbId
+        this.regions = regions
+        this.availableRegions = availableRegions
+    }
+}
+
+class UnknownUserError extends Error {
+    /**
+     * Thrown if a user name is not one of the configured users
+     * @param {string} user Requested user name
+     * @param {Array<string>} users Names of the configured users
+     */
+    constructor (user, users) {
+        super('Unknown user "' + user + '" (configured: ' + users.join(', ') + ')')
+        this.name = 'UnknownUserError'
+        this.code = 'UNKNOWN_USER'
+        this.user = user
+    }
+}
+
+/**
+ * Remove the API key from a URL, or a message containing URLs, so it can be shown
+ * @param {string} url Requested URL or message
+ */
+function hideApiKey (url) {
+    return String(url).replace(/api_key=[^&\s]*/g, 'api_key=***')
+}
+
+class TMDbError extends Error {
+    /**
+     * Thrown if a TMDb request failed, base class of the more specific TMDb errors
+     * @param {string} message Error message
+     * @param {Object} details url (requested URL), status (HTTP status), tmdbStatusCode (status_code of TMDb), cause
+     */
+    constructor (message, details={}) {
+        super(message)
+        this.name = 'TMDbError'
+        this.code = 'TMDB_ERROR'
+        this.url = details.url ? hideApiKey(details.url) : null
+        this.status = details.status || null
+        this.tmdbStatusCode = details.tmdbStatusCode || null
+        this.cause = details.cause || null
+    }
+}
+
+class TMDbAuthError extends TMDbError {
+    /**
+     * Thrown if TMDb rejects the API key (HTTP 401)
+     * @param {string} message Error message
+     * @param {Object} details See TMDbError
+     */
+    constructor (message, details) {
+        super(message, details)
+        this.name = 'TMDbAuthError'
+        this.code = 'TMDB_AUTH'
+    }
+}
+
+class TMDbNotFoundError extends TMDbError {
+    /**
+     * Thrown if the requested movie, show or season does not exist (HTTP 404)
+     * @param {string} message Error message
+     * @param {Object} details See TMDbError
+     */
+    constructor (message, details) {
+        super(message, details)
+        this.name = 'TMDbNotFoundError'
+        this.code = 'TMDB_NOT_FOUND'
+    }
+}
+
+class TMDbRateLimitError extends TMDbError {
+    /**
+     * Thrown if TMDb still answers with HTTP 429 after all retries
+     * @param {string} message Error message
+     * @param {Object} details See TMDbError, additionally retryAfter (seconds, if sent by TMDb)
+     */
+    constructor (message, details={}) {
+        super(message, details)
+        this.name = 'TMDbRateLimitError'
+        this.code = 'TMDB_RATE_LIMITED'
+        this.retryAfter = details.retryAfter || null
+    }
+}
+
+class TMDbNetworkError extends TMDbError {
+    /**
+     * Thrown if TMDb could not be reached at all
+     * @param {string} message Error message
+     * @param {Object} details See TMDbError, cause is the original error
+     */
+    constructor (message, details) {
+        super(message, details)
+        this.name = 'TMDbNetworkError'
+        this.code = 'TMDB_NETWORK'
+    }
+}
+
+class TMDbMalformedResponseError extends TMDbError {
+    /**
+     * Thrown if TMDb answered with something that is not the expected JSON
+     * @param {string} message Error message
+     * @param {Object} details See TMDbError
+     */
+    constructor (message, details) {
+        super(message, details)
+        this.name = 'TMDbMalformedResponseError'
+        this.code = 'TMDB_MALFORMED'
+    }
+}
+
+module.exports = {
+    NoReleaseRegionError,
+    UnknownUserError,
+    TMDbError,
+    TMDbAuthError,
+    TMDbNotFoundError,
+    TMDbRateLimitError,
+    TMDbNetworkError,
+    TMDbMalformedResponseError,
+    hideApiKey
+}
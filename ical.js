@@ -0,0 +1,358 @@
+const prodId = '-//RPi-WebTools//TVspotter//EN'
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ * @param {string} text Text to escape
+ */
+function escapeText (text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Revert the escaping of a TEXT value
+ * @param {string} text Escaped text
+ */
+function unescapeText (text) {
+    return text.replace(/\\([\\;,nN])/g, (match, char) => char === 'n' || char === 'N' ? '\n' : char)
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets (RFC 5545 3.1)
+ * @param {string} line Unfolded content line
+ */
+function foldLine (line) {
+    if (Buffer.byteLength(line) <= 75) return line
+
+    let parts = []
+    let current = ''
+    let currentLength = 0
+    // continuation lines start with a space, which counts towards the limit
+    let limit = 75
+    for (const char of line) {
+        let length = Buffer.byteLength(char)
+        if (currentLength + length > limit) {
+            parts.push(current)
+            current = ''
+            currentLength = 0
+            limit = 74
+        }
+        current += char
+        currentLength += length
+    }
+    parts.push(current)
+    return parts.join('\r\n ')
+}
+
+/**
+ * Build a content line
+ * @param {string} name Property name, e. g. SUMMARY
+ * @param {string} value Already escaped / formatted value
+ * @param {Object<string>} params Property parameters, e. g. { VALUE: 'DATE' }
+ */
+function formatProperty (name, value, params={}) {
+    let paramText = Object.keys(params).map(key => ';' + key + '=' + params[key]).join('')
+    return foldLine(name + paramText + ':' + value)
+}
+
+/**
+ * Format a date for a DATE value
+ * @param {string} date Date in YYYY-MM-DD
+ */
+function formatDate (date) {
+    return date.replace(/-/g, '')
+}
+
+/**
+ * Format a point in time as UTC DATE-TIME value
+ * @param {Date} date Point in time
+ */
+function formatTimestamp (date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * Add days to a date
+ * @param {string} date Date in YYYY-MM-DD
+ * @param {Number} days Days to add
+ * @returns {string} New date in YYYY-MM-DD
+ */
+function addDays (date, days) {
+    let result = new Date(date + 'T00:00:00Z')
+    result.setUTCDate(result.getUTCDate() + days)
+    return result.toISOString().split('T')[0]
+}
+
+/**
+ * Format minutes as a DURATION value, e. g. -P6DT15H
+ * @param {Number} minutes Minutes, negative for before
+ */
+function formatDuration (minutes) {
+    let sign = minutes < 0 ? '-' : ''
+    let rest = Math.abs(minutes)
+    let days = Math.floor(rest / (24 * 60))
+    rest -= days * 24 * 60
+    let hours = Math.floor(rest / 60)
+    let mins = rest % 60
+
+    let duration = sign + 'P'
+    if (days) duration += days + 'D'
+    if (hours || mins || !days) {
+        duration += 'T'
+        if (hours) duration += hours + 'H'
+        if (mins || !hours) duration += mins + 'M'
+    }
+    return duration
+}
+
+/**
+ * Build the TRIGGER line of an alarm
+ * @param {Object} alarm Either absolute (date and time, e. g. 2021-03-01T09:00:00Z), trigger (duration like -P1W)
+ *                       or daysBefore and time (like 09:00), relative to the start of the (all-day) event
+ */
+function buildTrigger (alarm) {
+    if (alarm.absolute) {
+        let date = new Date(alarm.absolute)
+        if (isNaN(date)) throw new Error('Invalid absolute alarm time: ' + alarm.absolute)
+        return formatProperty('TRIGGER', formatTimestamp(date), { VALUE: 'DATE-TIME' })
+    }
+    if (alarm.trigger) return formatProperty('TRIGGER', alarm.trigger)
+
+    let minutes = -(alarm.daysBefore || 0) * 24 * 60
+    if (alarm.time) {
+        let match = /^(\d{1,2}):(\d{2})$/.exec(alarm.time)
+        if (!match) throw new Error('Invalid alarm time: ' + alarm.time)
+        minutes += Number(match[1]) * 60 + Number(match[2])
+    }
+    return formatProperty('TRIGGER', formatDuration(minutes))
+}
+
+/**
+ * Build the lines of a VALARM
+ * @param {Object} alarm Trigger (see buildTrigger), action (DISPLAY (default), EMAIL or AUDIO), description,
+ *                       for EMAIL: email (address or list of addresses) and summary (subject), for AUDIO: attach (sound URI, optional)
+ */
+function buildAlarm (alarm) {
+    let action = (alarm.action || 'DISPLAY').toUpperCase()
+    let lines = [
+        'BEGIN:VALARM',
+        buildTrigger(alarm),
+        formatProperty('ACTION', action)
+    ]
+
+    if (action === 'DISPLAY') {
+        lines.push(formatProperty('DESCRIPTION', escapeText(alarm.description || 'Reminder')))
+    }
+    else if (action === 'EMAIL') {
+        let addresses = [].concat(alarm.email || [])
+        if (!addresses.length) throw new Error('EMAIL alarms need an email address')
+        lines.push(formatProperty('DESCRIPTION', escapeText(alarm.description || 'Reminder')))
+        lines.push(formatProperty('SUMMARY', escapeText(alarm.summary || alarm.description || 'Reminder')))
+        addresses.forEach(address => lines.push(formatProperty('ATTENDEE', 'mailto:' + address)))
+    }
+    else if (action === 'AUDIO') {
+        if (alarm.attach) lines.push(formatProperty('ATTACH', alarm.attach))
+    }
+    else throw new Error('Invalid alarm action: ' + alarm.action)
+
+    lines.push('END:VALARM')
+    return lines
+}
+
+/**
+ * Guess the media type of an image from its URL
+ * @param {string} url Image URL
+ * @returns {string|null} Media type, null if unknown
+ */
+function getImageType (url) {
+    let types = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', svg: 'image/svg+xml', webp: 'image/webp' }
+    let match = /\.(\w+)(?:[?#].*)?$/.exec(url)
+    return match ? types[match[1].toLowerCase()] || null : null
+}
+
+/**
+ * Build the lines linking an image, as ATTACH for older clients and IMAGE (RFC 7986) for newer ones
+ * @param {string} url Image URL
+ */
+function buildImage (url) {
+    let type = getImageType(url)
+    return [
+        formatProperty('ATTACH', url, type ? { FMTTYPE: type } : {}),
+        formatProperty('IMAGE', url, { VALUE: 'URI', DISPLAY: 'BADGE' })
+    ]
+}
+
+/**
+ * Build the lines of an all-day VEVENT
+ * @param {Object} event uid, start (YYYY-MM-DD), summary; optional end (exclusive, default the day after start),
+ *                       description, url, image (URL of a poster), stamp (Date, default now), alarms (see buildAlarm)
+ */
+function buildEvent (event) {
+    let lines = [
+        'BEGIN:VEVENT',
+        formatProperty('UID', event.uid),
+        formatProperty('DTSTAMP', formatTimestamp(event.stamp || new Date())),
+        formatProperty('DTSTART', formatDate(event.start), { VALUE: 'DATE' }),
+        formatProperty('DTEND', formatDate(event.end || addDays(event.start, 1)), { VALUE: 'DATE' }),
+        formatProperty('SUMMARY', escapeText(event.summary))
+    ]
+    if (event.description) lines.push(formatProperty('DESCRIPTION', escapeText(event.description)))
+    if (event.url) lines.push(formatProperty('URL', event.url, { VALUE: 'URI' }))
+    if (event.image) lines = lines.concat(buildImage(event.image))
+    let alarms = event.alarms || []
+    alarms.forEach(alarm => {
+        lines = lines.concat(buildAlarm(Object.assign({ description: event.summary }, alarm)))
+    })
+    lines.push('END:VEVENT')
+    return lines
+}
+
+/**
+ * Build a complete VCALENDAR
+ * @param {Array<Object>} events Events as expected by buildEvent
+ * @param {Object<string>} options name and description of the calendar, method (iTIP method like PUBLISH, only for
+ *                                 published feeds, CalDAV objects must not have one) (all optional)
+ */
+function buildCalendar (events, options={}) {
+    let lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        formatProperty('PRODID', prodId),
+        'CALSCALE:GREGORIAN'
+    ]
+    if (options.method) lines.push(formatProperty('METHOD', options.method))
+    if (options.name) lines.push(formatProperty('X-WR-CALNAME', escapeText(options.name)))
+    if (options.description) lines.push(formatProperty('X-WR-CALDESC', escapeText(options.description)))
+    events.forEach(event => {
+        lines = lines.concat(buildEvent(event))
+    })
+    lines.push('END:VCALENDAR')
+    return lines.join('\r\n') + '\r\n'
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * @param {string} line Unfolded content line
+ */
+function parseLine (line) {
+    // the value starts after the first colon that is not inside a quoted parameter value
+    let inQuotes = false
+    let colon = -1
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes
+        else if (line[i] === ':' && !inQuotes) {
+            colon = i
+            break
+        }
+    }
+    if (colon === -1) return null
+
+    let head = line.substring(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || ['']
+    let params = {}
+    head.slice(1).forEach(param => {
+        let separator = param.indexOf('=')
+        if (separator === -1) return
+        params[param.substring(0, separator).toUpperCase()] = param.substring(separator + 1).replace(/^"(.*)"$/, '$1')
+    })
+    return {
+        name: head[0].toUpperCase(),
+        params: params,
+        value: line.substring(colon + 1)
+    }
+}
+
+/**
+ * Parse iCalendar data into a tree of components
+ * @param {string} data iCalendar data
+ * @returns {Object} Root component with name, properties (name, params, value) and components
+ */
+function parseCalendar (data) {
+    let lines = data.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.length)
+    let root = { name: null, properties: [], components: [] }
+    let stack = [root]
+
+    lines.forEach(line => {
+        let property = parseLine(line)
+        if (!property) return
+        let current = stack[stack.length - 1]
+
+        if (property.name === 'BEGIN') {
+            let component = { name: property.value.toUpperCase(), properties: [], components: [] }
+            current.components.push(component)
+            stack.push(component)
+        }
+        else if (property.name === 'END') {
+            if (stack.length > 1) stack.pop()
+        }
+        else current.properties.push(property)
+    })
+    return root.components.length === 1 ? root.components[0] : root
+}
+
+/**
+ * Get a DATE or DATE-TIME value as YYYY-MM-DD
+ * @param {string} value Value like 20210301 or 20210301T120000Z
+ */
+function parseDate (value) {
+    let match = /^(\d{4})(\d{2})(\d{2})/.exec(value)
+    return match ? match[1] + '-' + match[2] + '-' + match[3] : null
+}
+
+/**
+ * Find all components with the given name
+ * @param {Object} component Component to search in
+ * @param {string} name Component name, e. g. VEVENT
+ */
+function findComponents (component, name) {
+    let found = component.name === name ? [component] : []
+    component.components.forEach(child => {
+        found = found.concat(findComponents(child, name))
+    })
+    return found
+}
+
+/**
+ * Parse the events of iCalendar data into simple objects
+ * @param {string} data iCalendar data
+ * @returns {Array<Object>} Events with uid, summary, description, start and end (YYYY-MM-DD), url, image and the raw properties
+ */
+function parseEvents (data) {
+    return findComponents(parseCalendar(data), 'VEVENT').map(component => {
+        let get = name => component.properties.filter(property => property.name === name)[0]
+        let text = name => get(name) ? unescapeText(get(name).value) : null
+        let date = name => get(name) ? parseDate(get(name).value) : null
+        return {
+            uid: get('UID') ? get('UID').value : null,
+            summary: text('SUMMARY'),
+            description: text('DESCRIPTION'),
+            start: date('DTSTART'),
+            end: date('DTEND'),
+            url: get('URL') ? get('URL').value : null,
+            image: get('IMAGE') ? get('IMAGE').value : null,
+            properties: component.properties
+        }
+    })
+}
+
+module.exports = {
+    prodId,
+    escapeText,
+    unescapeText,
+    foldLine,
+    formatProperty,
+    formatDate,
+    formatTimestamp,
+    addDays,
+    formatDuration,
+    buildTrigger,
+    buildAlarm,
+    buildImage,
+    buildEvent,
+    buildCalendar,
+    parseLine,
+    parseCalendar,
+    parseEvents
+}
@@ -1,23 +1,66 @@
+const fs = require('fs')
 const path = require('path')
+const crypto = require('crypto')
+const {v4: uuidv4} = require('uuid')
 const TMDb = require('./api')
-const api_key = require('./key')
 const DAVClient = require('./dav')
-const DAO = require('./DBmngr/dao')
-const SQLiteWriter = require('./DBmngr/sqliteWriter')
-const SQLiteReader = require('./DBmngr/sqliteReader')
+const Scheduler = require('./scheduler')
+const APIServer = require('./server')
+const ical = require('./ical')
+const { renderTemplate, formatRuntime, mergeTemplates } = require('./templates')
+const { createNotifier } = require('./notifiers')
+const { NoReleaseRegionError, TMDbNotFoundError, UnknownUserError } = require('./errors')
+const { SchemaMigrator, versionTable, defaultUser } = require('./migrations')
+const {
+    states,
+    movieReleaseTypes,
+    episodeKind,
+    availabilityKind,
+    createStatus,
+    serializeStatus,
+    isSameRelease,
+    decodeStatus
+} = require('./status')
 
-const dbName = path.resolve(__dirname, 'tvspotter.db')
+const defaultDbPath = path.resolve(__dirname, 'tvspotter.db')
+
+/**
+ * Load the database classes of the DBmngr submodule, only needed if no others are given
+ * @returns {Object} DAO, SQLiteWriter and SQLiteReader
+ */
+function loadDbClasses () {
+    return {
+        DAO: require('./DBmngr/dao'),
+        SQLiteWriter: require('./DBmngr/sqliteWriter'),
+        SQLiteReader: require('./DBmngr/sqliteReader')
+    }
+}
+// the tables are created and changed by the migrations in migrations.js, column changes need a new migration there
 const tableMovies = 'movies'
 const tableTV = 'tv'
+const tableEvents = 'events'
+const tableEpisodes = 'episodes'
+const tableItemSettings = 'itemSettings'
+const tableNotifications = 'notifications'
+const tableProviders = 'providers'
+const tableWatchlist = 'watchlist'
 
 /**
- * Sleep for x milliseconds
- * @param {Number} ms Milliseconds to wait
+ * Ways TMDb lists an item as offered by a provider, with their labels
  */
-function sleep (ms) {
-    return new Promise(resolve => setTimeout(resolve, ms))
+const offerTypes = {
+    flatrate: 'Subscription',
+    free: 'Free',
+    ads: 'Free with ads',
+    rent: 'Rent',
+    buy: 'Buy'
 }
 
+/**
+ * Prefix of the release type of availability reminders, followed by the provider ID
+ */
+const providerReleasePrefix = 'provider:'
+
 /**
  * Get columns to use in movies table
  */
@@ -28,11 +71,24 @@ function getColsMovies () {
             'name',
             'originalName',
             'firstRelease',
+            'premiereRelease',
+            'premiereCertification',
+            'theatricalLimitedRelease',
+            'theatricalLimitedCertification',
             'theatricalRelease',
-            'digitalPhysicalRelease',
+            'theatricalCertification',
+            'digitalRelease',
+            'digitalCertification',
+            'physicalRelease',
+            'physicalCertification',
+            'tvRelease',
+            'tvCertification',
+            'region',
             'poster',
             'backdrop',
-            'status'
+            'status',
+            'state',
+            'releaseDate'
         ],
         types: [
             'INTEGER',
@@ -43,7 +99,20 @@ function getColsMovies () {
             'TEXT',
             'TEXT',
             'TEXT',
-            'INTEGER'
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT'
         ]
     }
 }
@@ -62,608 +131,2141 @@ function getColsTV () {
             'nextEpisode',
             'poster',
             'backdrop',
-            'status'
+            'status',
+            'state',
+            'releaseDate'
+        ],
+        types: [
+            'INTEGER',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT'
+        ]
+    }
+}
+
+/**
+ * Get columns to use in episodes table (upcoming episodes of tracked shows)
+ */
+function getColsEpisodes () {
+    return {
+        names: [
+            'tmdbId',
+            'seasonNumber',
+            'episodeNumber',
+            'episode',
+            'name',
+            'airDate',
+            'episodeType'
+        ],
+        types: [
+            'INTEGER',
+            'INTEGER',
+            'INTEGER',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT'
+        ]
+    }
+}
+
+/**
+ * Get columns to use in events table (links calendar events to tracked items)
+ */
+function getColsEvents () {
+    return {
+        names: [
+            'tmdbId',
+            'mode',
+            'releaseType',
+            'uid',
+            'summary',
+            'date',
+            'contentHash',
+            'user'
+        ],
+        types: [
+            'INTEGER',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT'
+        ]
+    }
+}
+
+/**
+ * Get columns to use in item settings table (per item overrides, stored as JSON)
+ */
+function getColsItemSettings () {
+    return {
+        names: [
+            'itemKey',
+            'tmdbId',
+            'mode',
+            'settings'
+        ],
+        types: [
+            'TEXT',
+            'INTEGER',
+            'TEXT',
+            'TEXT'
+        ]
+    }
+}
+
+/**
+ * Get the columns of the notifications table, one row per release and notifier that was notified
+ */
+function getColsNotifications () {
+    return {
+        names: [
+            'itemKey',
+            'tmdbId',
+            'mode',
+            'releaseType',
+            'date',
+            'notifier',
+            'sentAt',
+            'user'
+        ],
+        types: [
+            'TEXT',
+            'INTEGER',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT',
+            'TEXT'
+        ]
+    }
+}
+
+/**
+ * Get the columns of the watchlist table, one row per user and item the user tracks
+ */
+function getColsWatchlist () {
+    return {
+        names: [
+            'user',
+            'itemKey',
+            'tmdbId',
+            'mode',
+            'addedAt'
         ],
         types: [
+            'TEXT',
+            'TEXT',
             'INTEGER',
             'TEXT',
+            'TEXT'
+        ]
+    }
+}
+
+/**
+ * Get the columns of the providers table, one row per item, region, provider and offer type
+ */
+function getColsProviders () {
+    return {
+        names: [
+            'itemKey',
+            'tmdbId',
+            'mode',
+            'region',
+            'providerId',
+            'providerName',
+            'offerType',
+            'link',
+            'since'
+        ],
+        types: [
             'TEXT',
+            'INTEGER',
             'TEXT',
             'TEXT',
+            'INTEGER',
             'TEXT',
             'TEXT',
             'TEXT',
-            'INTEGER'
+            'TEXT'
         ]
     }
-}
+}
+
+/**
+ * Columns of the movies and tv tables that copy parts of the status, so the watchlist can be filtered and sorted in SQL
+ */
+const statusCols = {
+    state: status => status.state,
+    releaseDate: status => status.date
+}
+
+/**
+ * Columns the watchlist can be sorted by
+ */
+const watchlistSortCols = {
+    added: 'id',
+    name: 'name COLLATE NOCASE',
+    release: 'releaseDate'
+}
+
+/**
+ * Get the values of a row in column order, status objects are serialised
+ * @param {Array<string>} cols Names of the table columns
+ * @param {Array|Object} data Row as object (or already as values)
+ */
+function getRowValues (cols, data) {
+    if (Array.isArray(data)) return data
+    let hasStatus = data.status !== null && typeof data.status === 'object'
+    return cols.map(col => {
+        if (col === 'status' && hasStatus) return serializeStatus(data[col])
+        if (statusCols[col] && hasStatus) return statusCols[col](data.status)
+        return data[col]
+    })
+}
+
+/**
+ * Build the SQL of a watchlist query
+ * @param {string} table movies or tv
+ * @param {Array<string>} cols Names of the table columns
+ * @param {string} mode movie or tv
+ * @param {Object} query See TVspotter.readMovies
+ * @returns {Object} sql and params
+ */
+function buildWatchlistQuery (table, cols, mode, query) {
+    let where = []
+    let params = []
+
+    if (query.user) {
+        where.push('tmdbId IN (SELECT tmdbId FROM ' + tableWatchlist + ' WHERE user = ? AND mode = ?)')
+        params.push(query.user, mode)
+    }
+    if (query.state) {
+        let wanted = [].concat(query.state)
+        let invalid = wanted.filter(state => !Object.values(states).includes(state))
+        if (invalid.length) throw new Error('Invalid state: ' + invalid.join(', '))
+        where.push('state IN (' + wanted.map(() => '?').join(', ') + ')')
+        params.push(...wanted)
+    }
+    if (query.releaseFrom) {
+        where.push('releaseDate >= ?')
+        params.push(query.releaseFrom)
+    }
+    if (query.releaseTo) {
+        where.push('releaseDate <= ?')
+        params.push(query.releaseTo)
+    }
+    if (typeof query.withinDays !== 'undefined' && query.withinDays !== null) {
+        let days = Number(query.withinDays)
+        if (!Number.isInteger(days) || days < 0) throw new Error('Invalid withinDays: ' + query.withinDays)
+        let end = new Date()
+        end.setUTCDate(end.getUTCDate() + days)
+        where.push('releaseDate >= ? AND releaseDate <= ?')
+        params.push(new Date().toISOString().split('T')[0], end.toISOString().split('T')[0])
+    }
+    if (query.name) {
+        let pattern = '%' + query.name.replace(/[\\%_]/g, char => '\\' + char) + '%'
+        where.push('(name LIKE ? ESCAPE \'\\\' OR originalName LIKE ? ESCAPE \'\\\')')
+        params.push(pattern, pattern)
+    }
+
+    let sortCol = watchlistSortCols[query.sortBy || 'added']
+    if (!sortCol) throw new Error('Invalid sortBy: ' + query.sortBy)
+    let order = (query.order || 'ASC').toUpperCase()
+    if (order !== 'ASC' && order !== 'DESC') throw new Error('Invalid order: ' + query.order)
+    // items without a release date come last in both directions
+    let orderBy = (sortCol === 'releaseDate' ? 'releaseDate IS NULL, ' : '') + sortCol + ' ' + order + (sortCol === 'id' ? '' : ', id ASC')
+
+    let sql = 'SELECT id, ' + cols.join(', ') + ' FROM ' + table +
+              (where.length ? ' WHERE ' + where.join(' AND ') : '') + ' ORDER BY ' + orderBy
+    let limit = Number(query.limit || 0)
+    let offset = Number(query.offset || 0)
+    if (!Number.isInteger(limit) || limit < 0) throw new Error('Invalid limit: ' + query.limit)
+    if (!Number.isInteger(offset) || offset < 0) throw new Error('Invalid offset: ' + query.offset)
+    if (limit || offset) {
+        // SQLite needs a limit for an offset, -1 means none
+        sql += ' LIMIT ? OFFSET ?'
+        params.push(limit || -1, offset)
+    }
+    return { sql: sql, params: params }
+}
+
+/**
+ * Get the link of an item on the TMDb website
+ * @param {Number} tmdbId TMDb item ID
+ * @param {string} mode movie or tv
+ */
+function getTMDbLink (tmdbId, mode) {
+    return 'https://www.themoviedb.org/' + mode + '/' + tmdbId
+}
+
+/**
+ * Get the key of an item in the item settings table
+ * @param {Number} tmdbId TMDb item ID
+ * @param {string} mode movie or tv
+ */
+function getItemKey (tmdbId, mode) {
+    return mode + ':' + tmdbId
+}
+
+/**
+ * Check if a stored event or notification is an availability reminder
+ * @param {string} releaseType Release type of the event row
+ */
+function isAvailabilityRelease (releaseType) {
+    return releaseType.startsWith(providerReleasePrefix)
+}
+
+/**
+ * Create the notifiers of a user
+ * @param {Array} configs Notifier configs or Notifier instances (see notifiers.js)
+ */
+function createNotifiers (configs) {
+    let notifiers = (configs || []).map(createNotifier)
+    notifiers.forEach((notifier, i) => {
+        if (notifiers.findIndex(other => other.name === notifier.name) !== i) {
+            throw new Error('Notifier names need to be unique, set a name for each "' + notifier.name + '" notifier')
+        }
+    })
+    return notifiers
+}
+
+/**
+ * Create the profile of a user: the CalDAV client and calendar their events go to and their notifiers
+ * @param {string} name User name
+ * @param {Object} config davServerUrl, davUser, davPassword or davClient, calendar and notifiers,
+ *                        without CalDAV server or client the user only gets notifications
+ */
+function createUserProfile (name, config) {
+    let client = config.davClient || null
+    if (!client && config.davServerUrl) client = new DAVClient(config.davServerUrl, config.davUser, config.davPassword)
+    return {
+        name: name,
+        client: client,
+        calendarOptions: Object.assign({
+            name: 'TVspotter',
+            description: 'Upcoming movie and TV show releases',
+            create: true
+        }, config.calendar),
+        calendar: null,
+        calendarError: null,
+        calendarQueue: Promise.resolve(),
+        notifiers: createNotifiers(config.notifiers)
+    }
+}
+
+class TVspotter {
+    /**
+     * Track movie and TV show releases via calendar reminders
+     * @param {string} davServerUrl URL of the CalDAV server (without it and davClient the default user only gets notifications)
+     * @param {string} davUser CalDAV user name
+     * @param {string} davPassword CalDAV user password
+     * @param {string} lang Language code to use, default en-US
+     * @param {Object} options Further settings:
+     *                         calendar: { name, url, color, description, create } to choose the target calendar,
+     *                         by default a calendar named 'TVspotter' is used and created if missing,
+     *                         episodeReminders: 'all' (default), 'premieres-finales' or 'next' to choose which episodes get an event,
+     *                         movieReminders: movie release types that get an event (default ['theatrical', 'digital', 'physical'],
+     *                         possible are 'premiere', 'theatricalLimited', 'theatrical', 'digital', 'physical' and 'tv'),
+     *                         regions: ordered list of preferred release regions (default ['US', 'DE']),
+     *                         timezone: timezone for 'airing today', like 'Europe/London',
+     *                         cache, cacheTTL, cacheLimits, rateLimit, retries: TMDb response cache and request limits (see TMDb),
+     *                         apiKey: TMDb API key (default the export of key.js), tmdbBaseUri: TMDb API URL,
+     *                         fetch: fetch implementation for TMDb requests, davClient: object with the methods of
+     *                         DAVClient to use instead of connecting to the CalDAV server, dbPath: path of the SQLite database,
+     *                         db: { DAO, SQLiteWriter, SQLiteReader } classes with the API of DBmngr to use instead of the
+     *                         DBmngr submodule (e. g. an in-memory database),
+     *                         alarms: reminders of the events, either a list for all events or an object with a list per
+     *                         release type ('theatrical', 'digital', ..., 'episode') and 'default' for the others;
+     *                         an alarm is e. g. { daysBefore: 7, time: '09:00', action: 'DISPLAY' } (see ical.buildAlarm),
+     *                         default is a display alarm at 09:00 on the day itself,
+     *                         templates: summary and description of the events for 'movie' and 'episode' (see templates.js),
+     *                         notifiers: further channels that are notified once a release is close, each either the config
+     *                         of a built-in notifier ({ type: 'webhook' | 'email' | 'ntfy' | 'gotify' | 'matrix', ... }) or
+     *                         an instance of a Notifier subclass (see notifiers.js),
+     *                         onNotifierError: called with error, notifier and notification if a notifier fails
+     *                         (default none), the notification is retried on the next check,
+     *                         subscribedProviders: IDs or names of the streaming services the household subscribes to,
+     *                         an item that becomes available on one of them gets a reminder (default none),
+     *                         providerRegions: regions the subscriptions are valid in (default the first of regions),
+     *                         providerOffers: offer types that are covered by the subscriptions
+     *                         (default ['flatrate', 'free', 'ads'], also possible 'rent' and 'buy'),
+     *                         users: further users with their own watchlist, each { name, davServerUrl, davUser, davPassword,
+     *                         davClient, calendar, notifiers } like the options above (all but name optional), the account
+     *                         given to the constructor belongs to the user 'default'
+     */
+    constructor (davServerUrl, davUser, davPassword, lang='en-US', options={}) {
+        // the key file is only needed if no key is given
+        this.api = new TMDb(options.apiKey || require('./key'), lang, {
+            regions: options.regions,
+            timezone: options.timezone,
+            cache: options.cache,
+            ttl: options.cacheTTL,
+            cacheLimits: options.cacheLimits,
+            rateLimit: options.rateLimit,
+            retries: options.retries,
+            baseUri: options.tmdbBaseUri,
+            fetch: options.fetch
+        })
+        let profile = createUserProfile(defaultUser, {
+            davServerUrl: davServerUrl,
+            davUser: davUser,
+            davPassword: davPassword,
+            davClient: options.davClient,
+            calendar: options.calendar,
+            notifiers: options.notifiers
+        })
+        let users = options.users || []
+        this.users = new Map([[defaultUser, profile]])
+        users.forEach(user => {
+            if (!user.name || typeof user.name !== 'string') throw new Error('Every user needs a name')
+            if (this.users.has(user.name)) throw new Error('User names need to be unique, "' + user.name + '" is used twice')
+            this.users.set(user.name, createUserProfile(user.name, user))
+        })
+        // the default user's profile is what a single user instance works with
+        this.client = profile.client
+        this.calendarOptions = profile.calendarOptions
+        this.notifiers = profile.notifiers
+        this.dbPath = options.dbPath || defaultDbPath
+        this.db = options.db || loadDbClasses()
+        this.episodeReminders = options.episodeReminders || 'all'
+        this.movieReminders = options.movieReminders || ['theatrical', 'digital', 'physical']
+        this.alarms = options.alarms || null
+        this.templates = mergeTemplates(options.templates)
+        this.onNotifierError = options.onNotifierError || (() => {})
+        this.subscribedProviders = (options.subscribedProviders || []).map(provider => provider.toString().toLowerCase())
+        this.providerRegions = options.providerRegions || [this.api.regions[0]]
+        this.providerOffers = options.providerOffers || ['flatrate', 'free', 'ads']
+        this.writeQueue = Promise.resolve()
+        this.readDao = null
+        this.migration = null
+        this.reader = null
+        this.dbPromise = this.initDbHandles()
+        this.calendarPromise = this.initCalendar()
+        this.readyPromise = Promise.all([
+            this.calendarPromise,
+            this.dbPromise
+        ]).then(() => this)
+        // rejection is handled by whoever waits for ready() or dbReady()
+        this.readyPromise.catch(() => {})
+    }
+
+    /**
+     * Create a TVspotter instance and wait until it is ready to use
+     * @param {Object} options davServerUrl, davUser, davPassword, lang (default en-US) and the further settings of the constructor
+     * @returns {Promise<TVspotter>} Resolves once the database is available and every calendar is set up or failed
+     */
+    static create (options={}) {
+        let spotter = new TVspotter(
+            options.davServerUrl,
+            options.davUser,
+            options.davPassword,
+            options.lang,
+            options
+        )
+        return spotter.ready()
+    }
+
+    /**
+     * Wait until both database handles are available and every calendar is set up or failed (see initCalendar)
+     * @returns {Promise<TVspotter>} Resolves with this instance, rejects if the database or the default user's calendar
+     *                               could not be set up
+     */
+    ready () {
+        return this.readyPromise
+    }
+
+    /**
+     * Wait until both database handles are available, reading does not have to wait for any calendar
+     * @returns {Promise} Resolves once the database is migrated, rejects if it could not be set up
+     */
+    dbReady () {
+        return this.dbPromise
+    }
+
+    /**
+     * Wait until every pending database write is done, each one closes its connection afterwards
+     * @returns {Promise} Resolves once nothing is written anymore
+     */
+    close () {
+        return this.writeQueue
+    }
+
+    /**
+     * Find (or create) the target calendar of every user with a CalDAV account once the account is loaded
+     * The calendar of another user that can not be set up does not affect the rest, the next task on it tries again
+     * @returns {Promise} Resolves once every calendar is set up or failed, rejects if the default user's calendar failed
+     */
+    initCalendar () {
+        return Promise.all(Array.from(this.users.values()).filter(profile => profile.client).map(profile => {
+            return this.initUserCalendar(profile).catch(() => null)
+        })).then(() => {
+            let profile = this.users.get(defaultUser)
+            if (profile.calendarError) throw profile.calendarError
+        })
+    }
+
+    /**
+     * Find (or create) the target calendar of a single user
+     * @param {Object} profile User profile with a CalDAV client
+     * @returns {Promise<dav.Calendar>} The calendar, rejects and keeps the error as calendarError of the profile if it failed
+     */
+    initUserCalendar (profile) {
+        return profile.client.ensureCalendar(profile.calendarOptions).then(calendar => {
+            profile.calendar = calendar
+            profile.calendarError = null
+            return calendar
+        }, err => {
+            profile.calendarError = err
+            throw err
+        })
+    }
+
+    /**
+     * Get the profile of a user
+     * @param {string} name User name (default the user of the constructor's account)
+     * @returns {Object} name, client (null without CalDAV account), calendarOptions, calendar, calendarError
+     *                   (why the calendar could not be set up or the last task on it failed) and notifiers
+     */
+    getUser (name=defaultUser) {
+        let profile = this.users.get(name)
+        if (!profile) throw new UnknownUserError(name, Array.from(this.users.keys()))
+        return profile
+    }
+
+    /**
+     * List the configured users
+     * @returns {Array<Object>} name, calendar (name of the calendar, null without CalDAV account) and notifiers (names)
+     */
+    listUsers () {
+        return Array.from(this.users.values()).map(profile => ({
+            name: profile.name,
+            calendar: profile.client ? profile.calendarOptions.name : null,
+            notifiers: profile.notifiers.map(notifier => notifier.name)
+        }))
+    }
+
+    /**
+     * Get the users that are reminded of an item's releases: given ones, else everyone who has the item on their watchlist,
+     * else (the item is on no watchlist) the default user
+     * @param {Number} tmdbId TMDb item ID
+     * @param {string} mode movie or tv
+     * @param {Array<string>} users Users to use instead of the watchers (optional)
+     * @returns {Promise<Array<string>>} User names
+     */
+    getRecipients (tmdbId, mode, users) {
+        if (users && users.length) return Promise.resolve(users)
+        return this.readWatchers(tmdbId, mode).then(watchers => {
+            if (!watchers.length) return [defaultUser]
+            // users that were removed from the config keep their entries, but get nothing anymore
+            return watchers.filter(user => this.users.has(user))
+        })
+    }
+
+    /**
+     * Prepare the database, migrate it to the latest schema and open the reading connection afterwards
+     */
+    initDbHandles () {
+        return this.withWriter((writer, dao) => Promise.resolve(writer.setWalMode()).then(() => {
+            return new SchemaMigrator(dao, writer, new this.db.SQLiteReader(dao)).migrate()
+        })).then(migration => {
+            this.migration = migration
+            this.readDao = new this.db.DAO(this.dbPath, 'RO')
+            this.reader = new this.db.SQLiteReader(this.readDao)
+        }).catch(err => {
+            throw new Error('Could not open database ' + this.dbPath + ': ' + (err && err.message ? err.message : err))
+        })
+    }
+
+    /**
+     * Check if a date is in defined range of another date
+     * @param {string|Date} dateNow Current date in YYYY-MM-DD or as Date (of which only the UTC day counts)
+     * @param {string} dateTarget Date in question in YYYY-MM-DD
+     * @param {Number} maxDifference Days left / When is it close?
+     */
+    isReleaseClose (dateNow, dateTarget, maxDifference) {
+        let now = null
+        if (dateNow instanceof Date) now = dateNow
+        else now = new Date(dateNow)
+        // the time of day would round the release day into the past from noon on
+        now = new Date(now.toISOString().split('T')[0])
+
+        let target = new Date(dateTarget)
+        let difference = Math.round((target - now) / (1000 * 60 * 60 * 24))
+
+        return {
+            isClose: (difference <= maxDifference),
+            difference: difference
+        }
+    }
+
+    /**
+     * Build the status of a single release
+     * @param {string} kind Movie release type name or 'episode'
+     * @param {string} date Release date in YYYY-MM-DD
+     * @param {Object} isClose Result of isReleaseClose for the date
+     */
+    releaseStatus (kind, date, isClose) {
+        let state = states.UPCOMING
+        if (isClose.isClose && isClose.difference < 0) state = states.RELEASED
+        else if (isClose.isClose) state = states.CLOSE
+
+        return createStatus({
+            state: state,
+            kind: kind,
+            daysRemaining: isClose.difference,
+            date: date
+        })
+    }
+
+    /**
+     * Convert a returned item from API search to web payload
+     * @param {Object} item API result item
+     * @param {string|Number} posterWidth poster pixel width
+     * @param {string|Number} backdropWidth backdrop pixel width
+     * @param {string} mediaType movie, tv or person, if the item does not tell itself (only multi search results do)
+     */
+    formSearchPayload (item, posterWidth='original', backdropWidth='original', mediaType=null) {
+        // people have a profile picture instead of a poster
+        let fullPosterPath = this.api.getImageLink(item.poster_path || item.profile_path, posterWidth)
+        let fullBackdropPath = this.api.getImageLink(item.backdrop_path, backdropWidth)
+        let tmdbId = item.id
+        
+        let firstRelease = null
+        if (typeof item.first_air_date !== 'undefined') firstRelease = item.first_air_date
+        else if (typeof item.release_date !== 'undefined') firstRelease = item.release_date
+
+        let name = null
+        if (typeof item.name !== 'undefined') name = item.name
+        else if (typeof item.title !== 'undefined') name = item.title
+
+        let originalName = null
+        if (typeof item.original_name !== 'undefined') originalName = item.original_name
+        else if (typeof item.original_title !== 'undefined') originalName = item.original_title
+
+        return {
+            id: tmdbId,
+            mediaType: item.media_type || mediaType,
+            name: name,
+            originalName: originalName,
+            firstRelease: firstRelease,
+            poster: fullPosterPath,
+            backdrop: fullBackdropPath
+        }
+    }
+
+    /**
+     * Convert a page of API results
+     * @param {Object} results API result page with results, page, total_results and total_pages
+     * @param {string} mediaType movie or tv if all results are of the same type
+     */
+    formResultsPayload (results, mediaType=null) {
+        return {
+            resultCount: results.total_results,
+            page: results.page,
+            pages: results.total_pages,
+            items: results.results.map(result => this.formSearchPayload(result, 'original', 'original', mediaType))
+        }
+    }
+
+    /**
+     * Get the IDs of all stored movies and shows
+     * @returns {Promise<Object>} Sets of the IDs (as strings) per mode (movie, tv)
+     */
+    getTrackedIds () {
+        return Promise.all([this.readMovies(), this.readTV()]).then(([movies, shows]) => ({
+            movie: new Set(movies.map(movie => movie.tmdbId.toString())),
+            tv: new Set(shows.map(show => show.tmdbId.toString()))
+        }))
+    }
+
+    /**
+     * Convert a page of API results and mark the items that are already on the watchlist
+     * @param {Promise<Object>} request Request of an API result page
+     * @param {string} mediaType movie or tv if all results are of the same type
+     * @returns {Promise<Object>} resultCount, page, pages and items, each with tracked (true / false)
+     */
+    formTrackedPayload (request, mediaType=null) {
+        return Promise.all([request, this.getTrackedIds()]).then(([results, trackedIds]) => {
+            let payload = this.formResultsPayload(results, mediaType)
+            payload.items.forEach(item => {
+                let ids = trackedIds[item.mediaType]
+                item.tracked = ids ? ids.has(item.id.toString()) : false
+            })
+            return payload
+        })
+    }
+
+    /**
+     * Search through TMDb for movies, TV shows or everything at once
+     * @param {string} type Type of search (movie, tv or multi, which also finds people)
+     * @param {string} query The search term
+     * @param {string|Number} page What result page to return
+     * @param {Object} options year, first_air_date_year, region, include_adult and language (see TMDb.search)
+     */
+    search (type, query, page=1, options={}) {
+        return this.formTrackedPayload(this.api.search(type, query, page, options), type === 'multi' ? null : type)
+    }
+
+    /**
+     * Get a list of shows that have an episode with an air date in the next 7 days
+     * @param {string|Number} page What result page to return (default 1)
+     */
+    getTVOnTheAir (page=1) {
+        return this.formTrackedPayload(this.api.getTVOnTheAir(page), 'tv')
+    }
+
+    /**
+     * Get a list of shows that have an episode airing today
+     * @param {string|Number} page What result page to return (default 1)
+     */
+    getTVAiringToday (page=1) {
+        return this.formTrackedPayload(this.api.getTVAiringToday(page), 'tv')
+    }
+
+    /**
+     * Get upcoming movies
+     * @param {string|Number} page What result page to return (default 1)
+     */
+    getMovieUpcoming (page=1) {
+        return this.formTrackedPayload(this.api.getMovieUpcoming(page), 'movie')
+    }
+
+    /**
+     * Discover movies or shows by genre, network, provider, release window and votes
+     * @param {string} type movie or tv
+     * @param {Object} filters See TMDb.discover
+     * @param {string|Number} page What result page to return (default 1)
+     */
+    discover (type, filters={}, page=1) {
+        return this.formTrackedPayload(this.api.discover(type, filters, page), type)
+    }
+
+    /**
+     * Get the trending movies and / or shows
+     * @param {string} type all, movie or tv (default all)
+     * @param {string} timeWindow day or week (default week)
+     * @param {string|Number} page What result page to return (default 1)
+     */
+    getTrending (type='all', timeWindow='week', page=1) {
+        return this.formTrackedPayload(this.api.getTrending(type, timeWindow, page), type === 'all' ? null : type)
+    }
+
+    /**
+     * Get the popular movies or shows
+     * @param {string} type movie or tv
+     * @param {string|Number} page What result page to return (default 1)
+     */
+    getPopular (type, page=1) {
+        return this.formTrackedPayload(this.api.getPopular(type, page), type)
+    }
+
+    /**
+     * Get the episode code of a TMDb episode, like S01E01
+     * @param {Object} episode API episode item (needs season_number and episode_number)
+     */
+    formatEpisodeCode (episode) {
+        return 'S' + episode.season_number.toString().padStart(2, '0') + 'E' + episode.episode_number.toString().padStart(2, '0')
+    }
+
+    /**
+     * Fetch all known upcoming episodes of the current and any announced later seasons of a show and store them
+     * @param {Object} details API show details
+     * @returns {Promise<Array<Object>>} Upcoming episode rows, ordered by air date
+     */
+    fetchUpcomingEpisodes (details) {
+        if (!details.in_production) return this.storeEpisodes(details.id, []).then(() => [])
+
+        let today = new Date().toISOString().split('T')[0]
+        let currentSeason = 1
+        if (details.next_episode_to_air) currentSeason = details.next_episode_to_air.season_number
+        else if (details.last_episode_to_air) currentSeason = details.last_episode_to_air.season_number
+
+        // season 0 holds the specials
+        let seasons = (details.seasons || []).filter(season => season.season_number > 0 && season.season_number >= currentSeason)
+
+        let episodes = []
+        return seasons.reduce((chain, season) => chain.then(() => {
+            return this.api.getTVSeasonDetails(details.id, season.season_number).catch(err => {
+                // announced seasons are sometimes listed before their details exist
+                if (err instanceof TMDbNotFoundError) return { episodes: [] }
+                throw err
+            }).then(seasonDetails => {
+                let seasonEpisodes = seasonDetails.episodes
+                let lastNumber = Math.max(0, ...seasonEpisodes.map(ep => ep.episode_number))
+                // seasons still being announced only list their first episodes, the last one is the finale once
+                // a later season exists or the show has ended
+                let isComplete = details.status === 'Ended' || details.status === 'Canceled' ||
+                                 (details.seasons || []).some(other => other.season_number > season.season_number)
+
+                seasonEpisodes.filter(ep => ep.air_date && ep.air_date >= today).forEach(ep => {
+                    let episodeType = 'standard'
+                    if (ep.episode_number === 1) episodeType = 'premiere'
+                    else if (ep.episode_type === 'finale' || (isComplete && ep.episode_number === lastNumber)) episodeType = 'finale'
+
+                    episodes.push({
+                        tmdbId: details.id,
+                        seasonNumber: ep.season_number,
+                        episodeNumber: ep.episode_number,
+                        episode: this.formatEpisodeCode(ep),
+                        name: ep.name,
+                        airDate: ep.air_date,
+                        episodeType: episodeType,
+                        // only used for the event content, not stored
+                        overview: ep.overview,
+                        runtime: ep.runtime
+                    })
+                })
+            })
+        }), Promise.resolve()).then(() => {
+            episodes.sort((a, b) => a.airDate.localeCompare(b.airDate) || a.episode.localeCompare(b.episode))
+            return this.storeEpisodes(details.id, episodes).then(() => episodes)
+        })
+    }
+
+    /**
+     * Check if and when a show releases its next episodes and set events if necessary
+     * Which episodes get an event depends on the episodeReminders option:
+     * 'all' (every known upcoming episode), 'premieres-finales' or 'next' (only the next episode once it is close)
+     * @param {string|Number} id TMDb show ID
+     * @param {Number} maxDaysDifference Days left / When is it close?
+     * @param {Object} options users: users to remind (default everyone watching the show, see getRecipients)
+     * @returns {Object} Show data with the status of the next episode (see status.js) and its number (like S01E01)
+     */
+    checkTV (id, maxDaysDifference, options={}) {
+        let intermedResult = {}
+        return this.readItemSettings(id, 'tv').then(settings => {
+            intermedResult.settings = settings
+            return this.getRecipients(id, 'tv', options.users)
+        }).then(users => {
+            intermedResult.users = users
+            return this.api.getTVShowDetails(id)
+        }).then(details => {
+            intermedResult.details = details
+            return this.fetchUpcomingEpisodes(details)
+        }).then(episodes => {
+            let details = intermedResult.details
+            let now = new Date()
+            let today = now.toISOString().split('T')[0]
+            let status = null
+            let nextRelease = ''
+            let nextEpisode = ''
+            if (!details.in_production) {
+                status = createStatus({ state: states.ENDED, kind: episodeKind })
+            }
+            else if (!details.next_episode_to_air) {
+                status = createStatus({ state: states.UNKNOWN, kind: episodeKind })
+            }
+            else {
+                nextEpisode = this.formatEpisodeCode(details.next_episode_to_air)
+                nextRelease = details.next_episode_to_air.air_date
+                status = this.releaseStatus(episodeKind, nextRelease, this.isReleaseClose(now, nextRelease, maxDaysDifference))
+            }
+
+            let reminders = []
+            if (this.episodeReminders === 'all') {
+                reminders = episodes
+            }
+            else if (this.episodeReminders === 'premieres-finales') {
+                reminders = episodes.filter(ep => ep.episodeType === 'premiere' || ep.episodeType === 'finale')
+            }
+            else if (status.state === states.CLOSE) {
+                reminders = episodes.filter(ep => ep.episode === nextEpisode)
+                if (!reminders.length) {
+                    reminders = [{
+                        seasonNumber: details.next_episode_to_air.season_number,
+                        episodeNumber: details.next_episode_to_air.episode_number,
+                        episode: nextEpisode,
+                        name: details.next_episode_to_air.name,
+                        airDate: nextRelease,
+                        overview: details.next_episode_to_air.overview,
+                        runtime: details.next_episode_to_air.runtime
+                    }]
+                }
+            }
+
+            let notifications = reminders.map(ep => {
+                let key = { tmdbId: id, mode: 'tv', releaseType: ep.episode }
+                let epStatus = this.releaseStatus(episodeKind, ep.airDate, this.isReleaseClose(now, ep.airDate, maxDaysDifference))
+                let content = this.buildEventContent(episodeKind, {
+                    show: details.name,
+                    episode: ep.episode,
+                    episodeTitle: ep.name,
+                    season: ep.seasonNumber,
+                    episodeNumber: ep.episodeNumber,
+                    date: ep.airDate,
+                    network: (details.networks || []).map(network => network.name).join(', '),
+                    runtime: formatRuntime(ep.runtime || (details.episode_run_time || [])[0]),
+                    overview: ep.overview || details.overview,
+                    url: getTMDbLink(id, 'tv')
+                })
+                let eventOptions = {
+                    url: getTMDbLink(id, 'tv'),
+                    image: this.getPosterLink(details.poster_path),
+                    alarms: this.getAlarms(episodeKind, intermedResult.settings)
+                }
+                let tasks = []
+                intermedResult.users.forEach(user => {
+                    let userKey = Object.assign({ user: user }, key)
+                    let event = this.setCalNotification(userKey, content.summary, content.description, ep.airDate, eventOptions)
+                    tasks.push(this.settleCalendarTask(user, event))
+                    if (epStatus.state === states.CLOSE) {
+                        tasks.push(this.notify({
+                            key: userKey,
+                            title: content.summary,
+                            description: content.description,
+                            date: ep.airDate,
+                            status: epStatus,
+                            url: eventOptions.url,
+                            image: eventOptions.image
+                        }))
+                    }
+                })
+                return Promise.all(tasks)
+            })
+
+            // events of episodes that aired in the meantime or are not wanted anymore
+            let wanted = reminders.map(ep => ep.episode)
+            notifications.push(this.removeCalNotifications(id, 'tv', event => {
+                if (isAvailabilityRelease(event.releaseType)) return false
+                return event.date < today || !wanted.includes(event.releaseType)
+            }))
+            notifications.push(this.resolveRegions(id, 'tv').then(regions => {
+                return this.checkProviders(id, 'tv', details, regions, intermedResult.settings, intermedResult.users)
+            }).then(providers => {
+                intermedResult.providers = providers
+            }))
+
+            return Promise.all(notifications).then(() => ({
+                tmdbId: id,
+                name: details.name,
+                originalName: details.original_name,
+                firstRelease: details.first_air_date,
+                nextRelease: nextRelease,
+                nextEpisode: nextEpisode,
+                poster: this.api.getImageLink(details.poster_path, 'original'),
+                backdrop: this.api.getImageLink(details.backdrop_path, 'original'),
+                status: status,
+                providers: intermedResult.providers
+            }))
+        })
+    }
+
+    /**
+     * Fill the summary and description templates of an event
+     * @param {string} kind Movie release type name, 'episode' or 'availability'
+     * @param {Object} values Values of the placeholders (see templates.js)
+     * @returns {Object} summary and description
+     */
+    buildEventContent (kind, values) {
+        let template = this.templates.movie
+        if (kind === episodeKind) template = this.templates.episode
+        else if (kind === availabilityKind) template = this.templates.availability
+        return {
+            summary: renderTemplate(template.summary, values),
+            description: renderTemplate(template.description, values)
+        }
+    }
+
+    /**
+     * Get the link of a poster for calendar events
+     * @param {string} posterPath TMDb poster path
+     * @returns {string|null} Link, null if there is no poster
+     */
+    getPosterLink (posterPath) {
+        return posterPath ? this.api.getImageLink(posterPath, 500) : null
+    }
+
+    /**
+     * Get the alarms for an event: from the item settings, else from the alarms option, else the default
+     * @param {string} kind Movie release type name or 'episode'
+     * @param {Object} itemSettings Settings of the item (may contain alarms in the same format as the option)
+     * @returns {Array<Object>|null} Alarms, null for the default
+     */
+    getAlarms (kind, itemSettings={}) {
+        let pick = config => {
+            if (!config) return null
+            if (Array.isArray(config)) return config
+            return config[kind] || config.default || null
+        }
+        return pick(itemSettings.alarms) || pick(this.alarms)
+    }
+
+    /**
+     * Get the preferred regions for an item: given ones, else the item's override, else the global setting
+     * @param {Number} tmdbId TMDb item ID
+     * @param {string} mode movie or tv
+     * @param {Array<string>} regions Regions to use instead of the stored ones (optional)
+     */
+    resolveRegions (tmdbId, mode, regions) {
+        if (regions && regions.length) return Promise.resolve(regions)
+        return this.readItemSettings(tmdbId, mode).then(settings => {
+            if (settings.regions && settings.regions.length) return settings.regions
+            return this.api.regions
+        })
+    }
+
+    /**
+     * Check if a provider is one of the subscribed ones
+     * @param {Object} row Provider row (providerId, providerName, region, offerType)
+     */
+    isSubscribed (row) {
+        return this.providerRegions.includes(row.region) &&
+               this.providerOffers.includes(row.offerType) &&
+               (this.subscribedProviders.includes(row.providerId.toString()) ||
+                this.subscribedProviders.includes(row.providerName.toLowerCase()))
+    }
+
+    /**
+     * Update the stored watch providers of an item and remind of subscribed providers it became available on
+     * Every subscribed provider gets one event and notification, dated when the item was first seen there,
+     * the event is removed once the provider does not offer the item anymore
+     * Providers that already offer an item on its first check are stored without since and get no reminder
+     * @param {Number} tmdbId TMDb item ID
+     * @param {string} mode movie or tv
+     * @param {Object} details Movie or show details from TMDb
+     * @param {Array<string>} regions Preferred regions of the item, providers are stored for these and the providerRegions
+     * @param {Object} itemSettings Settings of the item (for the alarms)
+     * @param {Array<string>} users Users to remind (default the default user)
+     * @returns {Promise<Array<Object>>} Subscribed providers offering the item (id, name, region, offerType, link,
+     *                                    since: null if it was offered before the first check)
+     */
+    checkProviders (tmdbId, mode, details, regions, itemSettings={}, users=[defaultUser]) {
+        let itemKey = getItemKey(tmdbId, mode)
+        let allRegions = regions.concat(this.providerRegions.filter(region => !regions.includes(region)))
+        let request = this.api.getWatchProviders(mode, tmdbId).catch(err => {
+            // TMDb does not know providers of some items at all
+            if (err instanceof TMDbNotFoundError) return { results: {} }
+            throw err
+        })
+
+        let requests = [request, this.readProviders(tmdbId, mode), this.checkIfStored(tmdbId, mode)]
+        return Promise.all(requests).then(([providers, stored, tracked]) => {
+            let today = new Date().toISOString().split('T')[0]
+            // nothing known about the item yet, so nothing it is offered on now is new
+            let firstCheck = !tracked && !stored.length
+            let rows = []
+            allRegions.forEach(region => {
+                let offers = providers.results[region]
+                if (!offers) return
+                Object.keys(offerTypes).forEach(offerType => {
+                    (offers[offerType] || []).forEach(provider => {
+                        let previous = stored.find(row => {
+                            return row.region === region && row.offerType === offerType &&
+                                   row.providerId.toString() === provider.provider_id.toString()
+                        })
+                        rows.push({
+                            itemKey: itemKey,
+                            tmdbId: tmdbId,
+                            mode: mode,
+                            region: region,
+                            providerId: provider.provider_id,
+                            providerName: provider.provider_name,
+                            offerType: offerType,
+                            link: offers.link || '',
+                            since: previous ? previous.since : (firstCheck ? null : today)
+                        })
+                    })
+                })
+            })
+            // one reminder per provider, for the first region and offer it was seen with
+            let available = []
+            rows.filter(row => this.isSubscribed(row)).forEach(row => {
+                if (!available.some(other => other.providerId === row.providerId)) available.push(row)
+            })
+
+            let tasks = [this.storeProviders(tmdbId, mode, rows)]
+            available.filter(row => row.since).forEach(row => {
+                let key = { tmdbId: tmdbId, mode: mode, releaseType: providerReleasePrefix + row.providerId }
+                let content = this.buildEventContent(availabilityKind, {
+                    title: details.title || details.name,
+                    provider: row.providerName,
+                    offer: offerTypes[row.offerType],
+                    region: row.region,
+                    date: row.since,
+                    overview: details.overview,
+                    link: row.link,
+                    url: getTMDbLink(tmdbId, mode)
+                })
+                let eventOptions = {
+                    url: getTMDbLink(tmdbId, mode),
+                    image: this.getPosterLink(details.poster_path),
+                    alarms: this.getAlarms(availabilityKind, itemSettings)
+                }
+                users.forEach(user => {
+                    let userKey = Object.assign({ user: user }, key)
+                    let event = this.setCalNotification(userKey, content.summary, content.description, row.since, eventOptions)
+                    tasks.push(this.settleCalendarTask(user, event))
+                    tasks.push(this.notify({
+                        key: userKey,
+                        title: content.summary,
+                        description: content.description,
+                        date: row.since,
+                        status: createStatus({
+                            state: states.RELEASED,
+                            kind: availabilityKind,
+                            daysRemaining: this.isReleaseClose(today, row.since, 0).difference,
+                            date: row.since
+                        }),
+                        url: eventOptions.url,
+                        image: eventOptions.image
+                    }))
+                })
+            })
+
+            // providers that do not offer the item anymore
+            let wanted = available.filter(row => row.since).map(row => providerReleasePrefix + row.providerId)
+            tasks.push(this.removeCalNotifications(tmdbId, mode, event => {
+                return isAvailabilityRelease(event.releaseType) && !wanted.includes(event.releaseType)
+            }))
+
+            return Promise.all(tasks).then(() => available.map(row => ({
+                id: row.providerId,
+                name: row.providerName,
+                region: row.region,
+                offerType: row.offerType,
+                link: row.link,
+                since: row.since
+            })))
+        })
+    }
+
+    /**
+     * Check when a movie releases and set events if necessary
+     * Every release type (premiere, limited theatrical, theatrical, digital, physical, tv) is tracked with date and certification,
+     * events are only created for the types in the movieReminders option / item setting
+     * Rejects with a NoReleaseRegionError if there are no releases for any preferred region
+     * @param {string|Number} id TMDb movie ID
+     * @param {Number} maxDaysDifference Days left / When is it close?
+     * @param {Object} options regions: preferred regions for this check only,
+     *                         users: users to remind (default everyone watching the movie, see getRecipients), both optional
+     */
+    checkMovie (id, maxDaysDifference, options={}) {
+        let intermedResult = {}
+        return this.readItemSettings(id, 'movie').then(settings => {
+            intermedResult.settings = settings
+            intermedResult.reminderTypes = settings.movieReminders || this.movieReminders
+            return this.getRecipients(id, 'movie', options.users)
+        }).then(users => {
+            intermedResult.users = users
+            return this.resolveRegions(id, 'movie', options.regions)
+        }).then(regions => {
+            intermedResult.regions = regions
+            return this.api.getMovieDetails(id)
+        }).then(details => {
+            intermedResult.details = details
+            return this.api.getMovieReleases(id)
+        }).then(releases => {
+            intermedResult.releases = releases
+            return this.readCalEvents(id, 'movie')
+        }).then(events => {
+            let details = intermedResult.details
+            let releases = intermedResult.releases
+            let region = intermedResult.regions.find(code => releases.results.some(res => res.iso_3166_1 === code))
+            if (!region) {
+                throw new NoReleaseRegionError(id, intermedResult.regions, releases.results.map(res => res.iso_3166_1))
+            }
+            let releaseDates = releases.results.filter(res => res.iso_3166_1 === region)[0].release_dates
+
+            let now = new Date()
+            let result = {
+                tmdbId: id,
+                name: details.title,
+                originalName: details.original_title,
+                firstRelease: details.release_date
+            }
+            let notifications = []
+            let wanted = []
+            let upcoming = []
+            let released = []
+            movieReleaseTypes.forEach(type => {
+                let release = releaseDates.filter(rel => rel.type === type.type)[0]
+                let date = release ? release.release_date.substring(0, release.release_date.lastIndexOf('T')) : ''
+                result[type.name + 'Release'] = date
+                result[type.name + 'Certification'] = release ? release.certification : ''
+                if (!date) return
+
+                let status = this.releaseStatus(type.name, date, this.isReleaseClose(now, date, maxDaysDifference))
+                let remind = intermedResult.reminderTypes.includes(type.name)
+                if (status.state === states.RELEASED) released.push({ status: status, remind: remind })
+                else upcoming.push({ status: status, remind: remind })
+
+                // close releases get an event, existing events are also kept up to date when the release moves away
+                let hasEvent = events.some(event => event.releaseType === type.name)
+                if (remind && status.state !== states.RELEASED && (status.state === states.CLOSE || hasEvent)) {
+                    let key = { tmdbId: id, mode: 'movie', releaseType: type.name }
+                    let content = this.buildEventContent(type.name, {
+                        title: details.title,
+                        originalTitle: details.original_title !== details.title ? details.original_title : '',
+                        release: type.label,
+                        date: date,
+                        certification: release.certification,
+                        // TMDb notes the streaming service or channel on digital and tv releases
+                        provider: release.note,
+                        runtime: formatRuntime(details.runtime),
+                        overview: details.overview,
+                        url: getTMDbLink(id, 'movie')
+                    })
+                    let eventOptions = {
+                        url: getTMDbLink(id, 'movie'),
+                        image: this.getPosterLink(details.poster_path),
+                        alarms: this.getAlarms(type.name, intermedResult.settings)
+                    }
+                    wanted.push(type.name)
+                    intermedResult.users.forEach(user => {
+                        let userKey = Object.assign({ user: user }, key)
+                        let event = this.setCalNotification(userKey, content.summary, content.description, date, eventOptions)
+                        notifications.push(this.settleCalendarTask(user, event))
+                        if (status.state === states.CLOSE) {
+                            notifications.push(this.notify({
+                                key: userKey,
+                                title: content.summary,
+                                description: content.description,
+                                date: date,
+                                status: status,
+                                url: eventOptions.url,
+                                image: eventOptions.image
+                            }))
+                        }
+                    })
+                }
+            })
+
+            // events of passed releases or types that are not wanted anymore
+            notifications.push(this.removeCalNotifications(id, 'movie', event => {
+                return !isAvailabilityRelease(event.releaseType) && !wanted.includes(event.releaseType)
+            }))
+            let providerCheck = this.checkProviders(id, 'movie', details, intermedResult.regions, intermedResult.settings, intermedResult.users)
+            notifications.push(providerCheck.then(providers => {
+                result.providers = providers
+            }))
+
+            // the status describes the next upcoming release (or the latest one), preferring the reminded types
+            let status = createStatus({ state: states.UNKNOWN })
+            let pickFrom = list => list.some(rel => rel.remind) ? list.filter(rel => rel.remind) : list
+            if (upcoming.length) {
+                status = pickFrom(upcoming).sort((a, b) => a.status.daysRemaining - b.status.daysRemaining)[0].status
+            }
+            else if (released.length) {
+                status = pickFrom(released).sort((a, b) => b.status.daysRemaining - a.status.daysRemaining)[0].status
+            }
+
+            result.region = region
+            result.poster = this.api.getImageLink(details.poster_path, 'original')
+            result.backdrop = this.api.getImageLink(details.backdrop_path, 'original')
+            result.status = status
+
+            return Promise.all(notifications).then(() => result)
+        })
+    }
+
+    /**
+     * Check a movie or show and update it if it is stored
+     * @param {Number} tmdbId TMDb item ID
+     * @param {string} mode movie or tv
+     * @param {Number} maxDaysDifference Days left / When is it close?
+     */
+    checkItem (tmdbId, mode, maxDaysDifference=7) {
+        let check = null
+        if (mode === 'movie') check = this.checkMovie(tmdbId, maxDaysDifference)
+        else if (mode === 'tv') check = this.checkTV(tmdbId, maxDaysDifference)
+        else return Promise.reject(new Error('No valid mode given.'))
+
+        return check.then(result => {
+            // only changes anything if the item is stored
+            return this.updateStored(tmdbId, result, mode).then(() => result)
+        })
+    }
+
+    /**
+     * Check a movie or show and put it on the watchlist of a user, the item is stored once for all users
+     * @param {Number} tmdbId TMDb item ID
+     * @param {string} mode movie or tv
+     * @param {Number} maxDaysDifference Days left / When is it close?
+     * @param {string} user User name (default the default user)
+     */
+    track (tmdbId, mode, maxDaysDifference=7, user=defaultUser) {
+        if (mode !== 'movie' && mode !== 'tv') return Promise.reject(new Error('No valid mode given.'))
+
+        return Promise.resolve().then(() => {
+            this.getUser(user)
+            return this.readWatchers(tmdbId, mode)
+        }).then(watchers => {
+            // everyone watching the item already keeps getting reminded
+            let options = { users: watchers.filter(name => name !== user && this.users.has(name)).concat([user]) }
+            if (mode === 'movie') return this.checkMovie(tmdbId, maxDaysDifference, options)
+            return this.checkTV(tmdbId, maxDaysDifference, options)
+        }).then(result => {
+            return this.upsertStored(result, mode).then(() => this.addToWatchlist(tmdbId, mode, user)).then(() => result)
+        })
+    }
+
+    /**
+     * Re-check a single stored movie or show and write the new data back
+     * @param {string} mode movie or tv
+     * @param {Object} stored Row as read from the database
+     * @param {Number} maxDaysDifference Days left / When is it close?
+     * @returns {Promise<Object>} tmdbId, name, mode and the list of changed fields
+     */
+    refreshItem (mode, stored, maxDaysDifference) {
+        let check = null
+        let cols = null
+        if (mode === 'movie') {
+            check = this.checkMovie(stored.tmdbId, maxDaysDifference)
+            cols = getColsMovies().names
+        }
+        else if (mode === 'tv') {
+            check = this.checkTV(stored.tmdbId, maxDaysDifference)
+            cols = getColsTV().names
+        }
+        else return Promise.reject(new Error('No valid mode given.'))
+
+        return check.then(result => {
+            let changes = []
+            let toText = value => value === null || typeof value === 'undefined' ? '' : value.toString()
+            cols.forEach(col => {
+                // the columns copied from the status change together with it
+                if (col === 'tmdbId' || statusCols[col]) return
+                let changed = col === 'status' ? !isSameRelease(stored.status, result.status) : toText(stored[col]) !== toText(result[col])
+                if (changed) changes.push({ field: col, from: stored[col], to: result[col] })
+            })
+
+            let summary = {
+                tmdbId: stored.tmdbId,
+                name: result.name,
+                mode: mode,
+                changes: changes
+            }
+            if (!changes.length) return summary
+            return this.updateStored(stored.tmdbId, result, mode).then(() => summary)
+        })
+    }
+
+    /**
+     * Re-check every stored movie and show, write the new status back and summarise what changed
+     * @param {Number} maxDaysDifference Days left / When is it close?
+     * @returns {Promise<Object>} Summary with number of checked items, changed items and failed items
+     */
+    refreshAll (maxDaysDifference=7) {
+        let summary = {
+            startedAt: new Date().toISOString(),
+            checked: 0,
+            changed: [],
+            unchanged: [],
+            failed: []
+        }
+
+        return Promise.all([this.readMovies(), this.readTV()]).then(([movies, shows]) => {
+            let items = movies.map(row => ({ mode: 'movie', row: row }))
+                .concat(shows.map(row => ({ mode: 'tv', row: row })))
+
+            // one after another to not flood TMDb and the CalDAV server
+            return items.reduce((chain, item) => chain.then(() => {
+                return this.refreshItem(item.mode, item.row, maxDaysDifference).then(result => {
+                    summary.checked++
+                    if (result.changes.length) summary.changed.push(result)
+                    else summary.unchanged.push(result.tmdbId)
+                }).catch(err => {
+                    summary.failed.push({
+                        tmdbId: item.row.tmdbId,
+                        name: item.row.name,
+                        mode: item.mode,
+                        error: err instanceof Error ? err.message : err,
+                        code: err && err.code ? err.code : null
+                    })
+                })
+            }), Promise.resolve())
+        }).then(() => {
+            summary.finishedAt = new Date().toISOString()
+            return summary
+        })
+    }
+
+    /**
+     * Start a scheduler that periodically runs refreshAll
+     * @param {Object} options See Scheduler, e. g. { interval: '0 6 * * *' } or { interval: '6h' }
+     * @returns {Scheduler} The started scheduler (listen to 'refresh' and 'error' events)
+     */
+    startScheduler (options={}) {
+        return new Scheduler(this, options).start()
+    }
+
+    /**
+     * Generate an iCalendar feed with one event per upcoming release of the stored movies and shows
+     * Movies only get events for their reminded release types, like in the CalDAV calendar
+     * Only needs the database, a CalDAV server that is slow or down does not hold up the feed
+     * @param {string} user Only the watchlist of this user, named like the user's calendar (default all items)
+     * @returns {Promise<string>} Complete VCALENDAR
+     */
+    exportCalendar (user) {
+        let today = new Date().toISOString().split('T')[0]
+        let calendarOptions = null
+        try {
+            calendarOptions = this.getUser(user).calendarOptions
+        }
+        catch (err) {
+            return Promise.reject(err)
+        }
+        let query = user ? { user: user } : {}
+        return Promise.all([
+            this.readMovies(query),
+            this.readTV(query),
+            this.readEpisodes(),
+            this.readGeneric(tableItemSettings, getColsItemSettings().names)
+        ]).then(([movies, shows, episodes, itemSettings]) => {
+            let events = []
+            let noPoster = this.api.getImageLink(null)
+            let posterOf = item => item.poster && item.poster !== noPoster ? item.poster : null
+            let settingsOf = (tmdbId, mode) => {
+                let row = itemSettings.filter(obj => obj.itemKey === getItemKey(tmdbId, mode))[0]
+                return row ? JSON.parse(row.settings) : {}
+            }
+
+            movies.forEach(movie => {
+                let settings = settingsOf(movie.tmdbId, 'movie')
+                let reminderTypes = settings.movieReminders || this.movieReminders
+                movieReleaseTypes.filter(type => reminderTypes.includes(type.name)).forEach(type => {
+                    let date = movie[type.name + 'Release']
+                    if (!date || date < today) return
+                    // only the stored data is available here, missing parts are left out of the templates
+                    let content = this.buildEventContent(type.name, {
+                        title: movie.name,
+                        originalTitle: movie.originalName !== movie.name ? movie.originalName : '',
+                        release: type.label,
+                        date: date,
+                        certification: movie[type.name + 'Certification'],
+                        url: getTMDbLink(movie.tmdbId, 'movie')
+                    })
+                    events.push({
+                        uid: 'movie-' + movie.tmdbId + '-' + type.name + '@tvspotter',
+                        start: date,
+                        summary: content.summary,
+                        description: content.description,
+                        url: getTMDbLink(movie.tmdbId, 'movie'),
+                        image: posterOf(movie),
+                        alarms: this.getAlarms(type.name, settings) || []
+                    })
+                })
+            })
+
+            shows.forEach(show => {
+                let showEpisodes = episodes.filter(ep => ep.tmdbId.toString() === show.tmdbId.toString() && ep.airDate >= today)
+                // shows checked before episodes were stored only know their next episode
+                if (!showEpisodes.length && show.nextRelease && show.nextRelease >= today) {
+                    showEpisodes = [{ episode: show.nextEpisode, name: '', airDate: show.nextRelease }]
+                }
+                let alarms = this.getAlarms(episodeKind, settingsOf(show.tmdbId, 'tv')) || []
+                showEpisodes.forEach(ep => {
+                    let content = this.buildEventContent(episodeKind, {
+                        show: show.name,
+                        episode: ep.episode,
+                        episodeTitle: ep.name,
+                        season: ep.seasonNumber,
+                        episodeNumber: ep.episodeNumber,
+                        date: ep.airDate,
+                        url: getTMDbLink(show.tmdbId, 'tv')
+                    })
+                    events.push({
+                        uid: 'tv-' + show.tmdbId + '-' + ep.episode + '@tvspotter',
+                        start: ep.airDate,
+                        summary: content.summary,
+                        description: content.description,
+                        url: getTMDbLink(show.tmdbId, 'tv'),
+                        image: posterOf(show),
+                        alarms: alarms
+                    })
+                })
+            })
+
+            events.sort((a, b) => a.start.localeCompare(b.start))
+            return ical.buildCalendar(events, {
+                name: calendarOptions.name,
+                description: calendarOptions.description,
+                method: 'PUBLISH'
+            })
+        })
+    }
+
+    /**
+     * Write the iCalendar feed of all upcoming releases to a file
+     * @param {string} file Path of the .ics file
+     * @param {string} user Only the watchlist of this user (default all items)
+     * @returns {Promise<string>} The written VCALENDAR
+     */
+    exportCalendarToFile (file, user) {
+        return this.exportCalendar(user).then(data => new Promise((resolve, reject) => {
+            fs.writeFile(file, data, 'utf8', err => err ? reject(err) : resolve(data))
+        }))
+    }
+
+    /**
+     * Start the local HTTP REST API
+     * @param {Object} options See APIServer, e. g. { port: 3000, token: 'secret' }
+     * @returns {Promise<APIServer>} Resolves with the server once it listens
+     */
+    startServer (options={}) {
+        return new APIServer(this, options).start()
+    }
+
+    /**
+     * Run a task on the freshly synchronised calendar of a user, one task per user at a time
+     * @param {Function} task Gets the calendar, may return a promise
+     * @param {string} user User name (default the default user)
+     */
+    withCalendar (task, user=defaultUser) {
+        let profile = this.getUser(user)
+        // a failed calendar of the default user only fails ready(), the tasks try to set it up again
+        let initialised = this.calendarPromise.catch(() => null)
+        let run = profile.calendarQueue.then(() => Promise.all([initialised, this.dbReady()])).then(() => {
+            // calendars that failed to set up are tried again
+            return profile.calendar || this.initUserCalendar(profile)
+        }).then(calendar => profile.client.syncCalendar(calendar)).then(calendar => {
+            profile.calendar = calendar
+            return task(calendar)
+        }).then(result => {
+            profile.calendarError = null
+            return result
+        }, err => {
+            profile.calendarError = err
+            throw err
+        })
+        profile.calendarQueue = run.catch(() => {})
+        return run
+    }
 
-class TVspotter {
     /**
-     * Track movie and TV show releases via calendar reminders
-     * @param {string} davServerUrl URL of the CalDAV server
-     * @param {string} davUser CalDAV user name
-     * @param {string} davPassword CalDAV user password
-     * @param {string} lang Language code to use, default en-US
+     * Let a task on the calendar of one user fail without failing the check for every other user,
+     * its error is kept as calendarError of the profile and the next check tries again
+     * @param {string} user User name
+     * @param {Promise} task e. g. of setCalNotification
+     * @param {*} fallback Result if the task failed
+     * @returns {Promise} Result of the task or fallback, still rejects for unknown users
      */
-    constructor (davServerUrl, davUser, davPassword, lang='en-US') {
-        this.api = new TMDb(api_key, lang)
-        this.client = new DAVClient(
-            davServerUrl,
-            davUser,
-            davPassword
-        )
-        sleep(3000).then(() => this.calTvspotter = this.client.getCalendars().filter(obj => obj.displayName === 'TVspotter')[0])
-        this.writer = new SQLiteWriter(new DAO(dbName, 'CW'))
-        this.writer.setWalMode()
-        this.closeDb()
-        sleep(1000).then(() => this.reader = new SQLiteReader(new DAO(dbName, 'RO')))
+    settleCalendarTask (user, task, fallback=false) {
+        return task.catch(err => {
+            if (!this.users.has(user)) throw err
+            return fallback
+        })
     }
 
     /**
-     * Check if a date is in defined range of another date
-     * @param {string|Date} dateNow Current date in YYYY-MM-DD
-     * @param {string} dateTarget Date in question in YYYY-MM-DD
-     * @param {Number} maxDifference Days left / When is it close?
+     * Creates an event with a reminder in the CalDAV calendar of a user, or moves the existing one if the date changed
+     * @param {Object} key Identifies the release: tmdbId, mode (movie or tv), releaseType (e. g. theatrical or S01E01)
+     *                     and user (default the default user)
+     * @param {string} title Title of the calendar event
+     * @param {string} description Description of the event
+     * @param {string} date Date of the event (YYYY-MM-DD)
+     * @param {Object} options url: link of the event, image: poster URL,
+     *                         alarms: reminders of the event (see ical.buildAlarm, default if not given)
+     * @returns {Promise<boolean>} True if an event was created or updated, false if it was already up to date
+     *                            or the user has no calendar
      */
-    isReleaseClose (dateNow, dateTarget, maxDifference) {
-        let now = null
-        if (dateNow instanceof Date) now = dateNow
-        else now = new Date(dateNow)
-
-        let target = new Date(dateTarget)
-        let difference = Math.round((target - now) / (1000 * 60 * 60 * 24))
-
-        return {
-            isClose: (difference <= maxDifference),
-            difference: difference
+    setCalNotification (key, title, description, date, options={}) {
+        let user = key.user || defaultUser
+        let client = null
+        try {
+            client = this.getUser(user).client
         }
-    }
+        catch (err) {
+            return Promise.reject(err)
+        }
+        if (!client) return Promise.resolve(false)
 
-    /**
-     * Convert a raw status to an integer code
-     * Returns:
-     * -1   if nothing fitting found |
-     *  0   tv ended |
-     *  10  tv released |
-     *  20x tv close (x=difference) |
-     *  30x tv none (x=difference) |
-     *  11  movie theat released |
-     *  12  movie dig released |
-     *  21x movie theat close |
-     *  22x movie dig close |
-     *  31x movie theat none |
-     *  32x movie dig none |
-     * @param {string} mode tv or movie
-     * @param {string} raw Can be 'ended', 'already-released', 'close,X' or 'none,X'  (X is difference) for TV
-     *                     or 'theatrical-' / 'digitalPhysical-' following same as for TV for movies
-     */
-    encodeStatus (mode, raw) {
-        let status = -1
-        let difference = ''
-        if (mode === 'tv') {
-            switch (true) {
-                case raw === 'ended':
-                    status = 0
-                    break
-                case raw === 'already-released':
-                    status = 10
-                    break
-                case /^close/.test(raw):
-                    status = 20
-                    difference = raw.split('close,')[1]
-                    status *= (10 ** difference.length)
-                    status += Number(difference)
-                    break
-                case /^none/.test(raw):
-                    status = 30
-                    difference = raw.split('none,')[1]
-                    status *= (10 ** difference.length)
-                    status += Number(difference)
-                    break
-                default:
-                    break
-            }
+        let data = {
+            summary: title,
+            description: description,
+            start: date,
+            end: date,
+            url: options.url || undefined,
+            image: options.image || undefined,
+            alarms: options.alarms || undefined
         }
-        else if (mode === 'movie') {
-            switch (true) {
-                case raw === 'theatrical-already-released':
-                    status = 11
-                    break
-                case raw === 'digitalPhysical-already-released':
-                    status = 12
-                    break
-                case /^theatrical-close/.test(raw):
-                    status = 21
-                    difference = raw.split('theatrical-close,')[1]
-                    status *= (10 ** difference.length)
-                    status += Number(difference)
-                    break
-                case /^digitalPhysical-close/.test(raw):
-                    status = 22
-                    difference = raw.split('digitalPhysical-close,')[1]
-                    status *= (10 ** difference.length)
-                    status += Number(difference)
-                    break
-                case /^theatrical-none/.test(raw):
-                    status = 31
-                    difference = raw.split('theatrical-none,')[1]
-                    status *= (10 ** difference.length)
-                    status += Number(difference)
-                    break
-                case /^digitalPhysical-none/.test(raw):
-                    status = 32
-                    difference = raw.split('digitalPhysical-none,')[1]
-                    status *= (10 ** difference.length)
-                    status += Number(difference)
-                    break
-                default:
-                    break
+        let contentHash = crypto.createHash('sha1').update(JSON.stringify([
+            title,
+            description,
+            date,
+            data.url || null,
+            data.image || null,
+            data.alarms || null
+        ])).digest('hex')
+
+        return this.withCalendar(calendar => this.readCalEvents(key.tmdbId, key.mode, user).then(events => {
+            let stored = events.filter(event => event.releaseType === key.releaseType)[0]
+            if (stored) {
+                if (stored.contentHash === contentHash && client.findEvent(calendar, stored.uid)) return false
+
+                // release date or content changed, update the existing event in place
+                return client.updateEvent(calendar, stored.uid, data).then(() => {
+                    return this.updateCalEvent(stored.uid, {
+                        tmdbId: key.tmdbId,
+                        mode: key.mode,
+                        releaseType: key.releaseType,
+                        uid: stored.uid,
+                        summary: title,
+                        date: date,
+                        contentHash: contentHash,
+                        user: user
+                    }).then(() => true)
+                })
             }
-        }
-        return status
+
+            // events created before they were linked to the item are left as they are
+            if (client.checkIfEventExists(calendar, data)) return false
+
+            let uid = uuidv4()
+            return client.createEvent(calendar, Object.assign({ uid: uid }, data)).then(result => {
+                if (result.request.status !== 201) throw new Error('Could not create event "' + title + '"')
+                return this.storeCalEvent({
+                    tmdbId: key.tmdbId,
+                    mode: key.mode,
+                    releaseType: key.releaseType,
+                    uid: uid,
+                    summary: title,
+                    date: date,
+                    contentHash: contentHash,
+                    user: user
+                }).then(() => true)
+            })
+        }), user)
     }
 
     /**
-     * Convert a returned item from API search to web payload
-     * @param {Object} item API result item
-     * @param {string|Number} posterWidth poster pixel width
-     * @param {string|Number} backdropWidth backdrop pixel width
+     * Delete the calendar event of a single release
+     * @param {Object} key Identifies the release: tmdbId, mode (movie or tv), releaseType (e. g. theatrical or S01E01)
+     *                     and user (default everyone)
+     * @returns {Promise<Number>} Number of deleted events
      */
-    formSearchPayload (item, posterWidth='original', backdropWidth='original') {
-        let fullPosterPath = this.api.getImageLink(item.poster_path, posterWidth)
-        let fullBackdropPath = this.api.getImageLink(item.backdrop_path, backdropWidth)
-        let tmdbId = item.id
-        
-        let firstRelease = null
-        if (typeof item.first_air_date !== 'undefined') firstRelease = item.first_air_date
-        else if (typeof item.release_date !== 'undefined') firstRelease = item.release_date
+    removeCalNotification (key) {
+        return this.removeCalNotifications(key.tmdbId, key.mode, event => {
+            return event.releaseType === key.releaseType && (!key.user || event.user === key.user)
+        })
+    }
 
-        let name = null
-        if (typeof item.name !== 'undefined') name = item.name
-        else if (typeof item.title !== 'undefined') name = item.title
+    /**
+     * Delete the calendar events of an item, in the calendars of all users
+     * @param {Number} tmdbId TMDb item ID
+     * @param {string} mode movie or tv
+     * @param {Function} filter Gets each stored event row (with its user), return true to delete it (default: delete all)
+     * @returns {Promise<Number>} Number of deleted events, the events of a user whose calendar fails stay for the next try
+     */
+    removeCalNotifications (tmdbId, mode, filter=() => true) {
+        return this.readCalEvents(tmdbId, mode).then(events => {
+            let users = events.filter(filter).map(event => event.user)
+            return Promise.all(users.filter((user, i) => users.indexOf(user) === i).map(user => {
+                let profile = this.users.get(user)
+                let remove = (calendar, toRemove) => toRemove.reduce((chain, event) => chain.then(() => {
+                    if (!calendar) return this.deleteCalEvent(event.uid)
+                    return profile.client.deleteEvent(calendar, event.uid).then(() => this.deleteCalEvent(event.uid))
+                }), Promise.resolve()).then(() => toRemove.length)
 
-        let originalName = null
-        if (typeof item.original_name !== 'undefined') originalName = item.original_name
-        else if (typeof item.original_title !== 'undefined') originalName = item.original_title
+                // the calendar of users that were removed from the config (or lost their account) is out of reach
+                if (!profile || !profile.client) return remove(null, events.filter(event => event.user === user).filter(filter))
+                let task = this.withCalendar(calendar => this.readCalEvents(tmdbId, mode, user).then(current => {
+                    return remove(calendar, current.filter(filter))
+                }), user)
+                return this.settleCalendarTask(user, task, 0)
+            }))
+        }).then(counts => counts.reduce((sum, count) => sum + count, 0))
+    }
 
-        return {
-            id: tmdbId,
-            name: name,
-            originalName: originalName,
-            firstRelease: firstRelease,
-            poster: fullPosterPath,
-            backdrop: fullBackdropPath
+    /**
+     * Send a notification about a close release to every enabled notifier of a user that was not notified about it yet
+     * A release counts as new again if its date changes, failed notifiers are retried on the next check
+     * @param {Object} notification See Notifier.notify, the user of the key is the one notified (default the default user)
+     * @returns {Promise<Array<string>>} Names of the notifiers that were notified now
+     */
+    notify (notification) {
+        let key = notification.key
+        let user = key.user || defaultUser
+        let notifiers = null
+        try {
+            notifiers = this.getUser(user).notifiers.filter(notifier => notifier.enabled)
         }
+        catch (err) {
+            return Promise.reject(err)
+        }
+        if (!notifiers.length) return Promise.resolve([])
+
+        return this.readNotifications(key.tmdbId, key.mode, user).then(sent => {
+            let pending = notifiers.filter(notifier => !sent.some(row => {
+                return row.notifier === notifier.name && row.releaseType === key.releaseType && row.date === notification.date
+            }))
+            return Promise.all(pending.map(notifier => notifier.notify(notification).then(() => {
+                return this.storeNotification({
+                    itemKey: getItemKey(key.tmdbId, key.mode),
+                    tmdbId: key.tmdbId,
+                    mode: key.mode,
+                    releaseType: key.releaseType,
+                    date: notification.date,
+                    notifier: notifier.name,
+                    sentAt: new Date().toISOString(),
+                    user: user
+                }).then(() => notifier.name)
+            }, err => {
+                this.onNotifierError(err, notifier, notification)
+                return null
+            })))
+        }).then(names => names.filter(name => name !== null))
     }
 
     /**
-     * Search through TMDb for movies or TV shows
-     * @param {string} type Type of search (movie or tv)
-     * @param {string} query The search term
-     * @param {string|Number} page What result page to return
+     * Run a task on its own writing database connection, which is closed afterwards
+     * Tasks run one after another, so concurrent checks, refreshes and API requests never share or close a connection
+     * @param {Function} task Gets the SQLiteWriter and its DAO, may return a promise
+     * @returns {Promise} Result of the task, once the connection is closed
      */
-    search (type, query, page) {
-        return new Promise((resolve, reject) => {
-            resolve(
-                this.api.search(type, query, page).then(results => {
-                    let items = []
-                    results.results.forEach(result => {
-                        items.push(this.formSearchPayload(result))
-                    })
-
-                    return {
-                        resultCount: results.total_results,
-                        pages: results.total_pages,
-                        items: items
-                    }
+    withWriter (task) {
+        let run = this.writeQueue.then(() => {
+            let dao = new this.db.DAO(this.dbPath, 'CW')
+            let writer = new this.db.SQLiteWriter(dao)
+            let close = () => Promise.resolve(writer.closeDb())
+            return Promise.resolve().then(() => task(writer, dao)).then(result => close().then(() => result), err => {
+                return close().then(() => {
+                    throw err
                 })
-            )
+            })
         })
+        this.writeQueue = run.catch(() => {})
+        return run
     }
 
     /**
-     * Get a list of shows that have an episode with an air date in the next 7 days
+     * Delete all tables and create them again with the latest schema
+     * @returns {Promise<Object>} Result of the migrations (see SchemaMigrator.migrate)
      */
-    getTVOnTheAir () {
-        return new Promise((resolve, reject) => {
-            resolve(
-                this.api.getTVOnTheAir().then(results => {
-                    let items = []
-                    results.results.forEach(result => {
-                        items.push(this.formSearchPayload(result))
-                    })
+    initDb () {
+        let tables = [
+            tableMovies,
+            tableTV,
+            tableEvents,
+            tableEpisodes,
+            tableItemSettings,
+            tableNotifications,
+            tableProviders,
+            tableWatchlist,
+            versionTable
+        ]
 
-                    return {
-                        resultCount: results.total_results,
-                        pages: results.total_pages,
-                        items: items
-                    }
-                })
-            )
+        return this.withWriter((writer, dao) => {
+            writer.serialize()
+            return tables.reduce((chain, table) => chain.then(() => writer.dropTable(table)), Promise.resolve()).then(() => {
+                return new SchemaMigrator(dao, writer, new this.db.SQLiteReader(dao)).migrate()
+            })
+        }).then(migration => {
+            this.migration = migration
+            return migration
         })
     }
 
     /**
-     * Get a list of shows that have an episode airing today
+     * Wait until the database is migrated to the latest schema (which happens on startup), or wipe it
+     * @param {boolean} doReset True => delete all data and recreate the tables
+     * @returns {Promise<Object>} Result of the migrations: from (version before), to (version now) and applied (versions)
      */
-    getTVAiringToday () {
-        return new Promise((resolve, reject) => {
-            resolve(
-                this.api.getTVAiringToday().then(results => {
-                    let items = []
-                    results.results.forEach(result => {
-                        items.push(this.formSearchPayload(result))
-                    })
-
-                    return {
-                        resultCount: results.total_results,
-                        pages: results.total_pages,
-                        items: items
-                    }
-                })
-            )
+    initialise (doReset=false) {
+        return this.dbReady().then(() => {
+            if (doReset) return this.initDb()
+            return this.migration
         })
     }
 
     /**
-     * Get upcoming movies
+     * Store given information in the database
+     * @param {string} table Table name
+     * @param {Array<string>} cols Names of the table columns
+     * @param {Array|Object} data Data to write
+     * @returns {Promise} Resolves once the rows are written
      */
-    getMovieUpcoming () {
-        return new Promise((resolve, reject) => {
-            resolve(
-                this.api.getMovieUpcoming().then(results => {
-                    let items = []
-                    results.results.forEach(result => {
-                        items.push(this.formSearchPayload(result))
-                    })
-
-                    return {
-                        resultCount: results.total_results,
-                        pages: results.total_pages,
-                        items: items
-                    }
+    storeGeneric (table, cols, data) {
+        return this.withWriter(writer => {
+            if (Array.isArray(data)) {
+                let dataToWrite = []
+                data.forEach(element => {
+                    dataToWrite.push(getRowValues(cols, element))
                 })
-            )
+                return writer.insertMultipleRows(table, cols, dataToWrite)
+            }
+            return writer.insertRow(table, cols, getRowValues(cols, data))
         })
     }
 
     /**
-     * Check if and when a show releases the next episode and set events if necessary
-     * @param {string|Number} id TMDb show ID
-     * @param {Number} maxDaysDifference Days left / When is it close?
-     * @param {boolean} waitBeforeCalEvent If true (default), waits for 2s before continuing to ensure an established connection with the server
-     * @returns {Object<string>} Status ('ended', 'released', 'close' + days left, 'none' + days left) and number of next episode (like S01E01)
-     */
-    checkTV (id, maxDaysDifference, waitBeforeCalEvent=true) {
-        return new Promise((resolve, reject) => {
-            resolve(
-                this.api.getTVShowDetails(id).then(details => {
-                    if (!details.in_production) {
-                        return {
-                            tmdbId: id,
-                            name: details.name,
-                            originalName: details.original_name,
-                            firstRelease: details.first_air_date,
-                            nextRelease: '',
-                            nextEpisode: '',
-                            poster: this.api.getImageLink(details.poster_path, 'original'),
-                            backdrop: this.api.getImageLink(details.backdrop_path, 'original'),
-                            status: this.encodeStatus('tv', 'ended')
-                        }
-                    }
-                    
-                    let now = new Date()
-                    let status = ''
-                    let isClose = {}
-                    let nextRelease = ''
-                    let nextEpisode = ''
-                    if (!details.next_episode_to_air) {
-                        isClose = {
-                            isClose: false,
-                            difference: 0
-                        }
-                        nextEpisode = ''
-                    }
-                    else {
-                        isClose = this.isReleaseClose(now, details.next_episode_to_air.air_date, maxDaysDifference)
-                        nextEpisode = 'S' + details.next_episode_to_air.season_number.toString().padStart(2, '0') + 'E' + details.next_episode_to_air.episode_number.toString().padStart(2, '0')
-                        nextRelease = details.next_episode_to_air.air_date
-                    }
+     * Insert rows, or update the existing row if one with the same key is already stored
+     * @param {string} table Table name
+     * @param {Array<string>} cols Names of the table columns
+     * @param {Array|Object} data Row or list of rows to write
+     * @param {string} key Column with a unique index that identifies a row
+     * @returns {Promise} Resolves once all rows are written, several rows are written all or none
+     */
+    upsertGeneric (table, cols, data, key) {
+        let rows = Array.isArray(data) ? data : [data]
+        let sql = 'INSERT INTO ' + table + ' (' + cols.join(', ') + ') VALUES (' + cols.map(() => '?').join(', ') + ')' +
+                  ' ON CONFLICT (' + key + ') DO UPDATE SET ' + cols.filter(col => col !== key).map(col => col + ' = excluded.' + col).join(', ')
 
-                    if (isClose.isClose && isClose.difference < 0) {
-                        status = 'already-released'
-                        this.setCalNotification(details.name + ' [' + nextEpisode + ']', status, now.toISOString().split('T')[0], waitBeforeCalEvent)
-                    }
-                    else if (isClose.isClose) {
-                        status = 'close,' + isClose.difference
-                        this.setCalNotification(details.name + ' [' + nextEpisode + ']', status, details.next_episode_to_air.air_date, waitBeforeCalEvent)
-                    }
-                    else {
-                        status = 'none,' + isClose.difference
-                    }
+        return this.withWriter((writer, dao) => {
+            let write = () => rows.reduce((chain, row) => chain.then(() => dao.run(sql, getRowValues(cols, row))), Promise.resolve())
+            if (rows.length < 2) return write()
 
-                    return {
-                        tmdbId: id,
-                        name: details.name,
-                        originalName: details.original_name,
-                        firstRelease: details.first_air_date,
-                        nextRelease: nextRelease,
-                        nextEpisode: nextEpisode,
-                        poster: this.api.getImageLink(details.poster_path, 'original'),
-                        backdrop: this.api.getImageLink(details.backdrop_path, 'original'),
-                        status: this.encodeStatus('tv', status)
-                    }
+            return dao.run('BEGIN').then(write).then(() => dao.run('COMMIT'), err => {
+                // the error of the row tells more than one of the rollback
+                return dao.run('ROLLBACK').catch(() => null).then(() => {
+                    throw err
                 })
-            )
+            })
         })
     }
 
     /**
-     * Check when a movie releases and set events if necessary
-     * @param {string|Number} id TMDb movie ID
-     * @param {Number} maxDaysDifference Days left / When is it close?
-     * @param {boolean} waitBeforeCalEvent If true (default), waits for 2s before continuing to ensure an established connection with the server
-     */
-    checkMovie (id, maxDaysDifference, waitBeforeCalEvent=true) {
-        return new Promise((resolve, reject) => {
-            let intermedResult = {}
-            resolve(
-                this.api.getMovieDetails(id).then(details => {
-                    intermedResult.details = details
-                    return this.api.getMovieReleases(id)
-                }).then(releases => {
-                    let filteredReleases = releases.results.filter(res => res.iso_3166_1 === 'US')
-                    if (!filteredReleases.length) {
-                        filteredReleases = releases.results.filter(res => res.iso_3166_1 === 'DE')
-                        if (!filteredReleases.length) throw 'No releases for US or DE found!'
-                    }
+     * Store a list of movies / a movie in the database, movies that are already stored are updated
+     * @param {Array|Object} data Movies to store
+     * @returns {Promise} Resolves once the movies are written
+     */
+    storeMovies (data) {
+        return this.upsertGeneric(tableMovies, getColsMovies().names, data, 'tmdbId')
+    }
 
-                    let theatrical = filteredReleases[0].release_dates.filter(rel => rel.type === 3)
-                    let digitalPhysical = filteredReleases[0].release_dates.filter(rel => rel.type === 5)
-                    if (!digitalPhysical.length) {
-                        digitalPhysical = filteredReleases[0].release_dates.filter(rel => rel.type === 4)
-                    }
+    /**
+     * Store a list of TV shows / a TV show in the database, shows that are already stored are updated
+     * @param {Array|Object} data TV shows to store
+     * @returns {Promise} Resolves once the shows are written
+     */
+    storeTV (data) {
+        return this.upsertGeneric(tableTV, getColsTV().names, data, 'tmdbId')
+    }
 
-                    let now = new Date()
-                    let isClose = null
-                    let status = ''
-                    if (theatrical.length) {
-                        let date = theatrical[0].release_date.substring(0, theatrical[0].release_date.lastIndexOf('T'))
-                        isClose = this.isReleaseClose(now, date, maxDaysDifference)
+    /**
+     * Store a movie or show, or update it if it is already stored
+     * @param {Object} data Result of checkMovie / checkTV
+     * @param {string} mode movie or tv
+     * @returns {Promise} Resolves once the item is written
+     */
+    upsertStored (data, mode) {
+        if (mode === 'movie') return this.storeMovies(data)
+        if (mode === 'tv') return this.storeTV(data)
+        return Promise.reject(new Error('No valid mode given.'))
+    }
 
-                        if (isClose.isClose && isClose.difference < 0) {
-                            status = 'theatrical-already-released'
-                            this.setCalNotification(intermedResult.details.title, status, now.toISOString().split('T')[0], waitBeforeCalEvent)
-                        }
-                        else if (isClose.isClose) {
-                            status = 'theatrical-close,' + isClose.difference
-                            this.setCalNotification(intermedResult.details.title, status, date, waitBeforeCalEvent)
-                        }
-                        else {
-                            status = 'theatrical-none,' + isClose.difference
-                        }
-                    }
-                    else {
-                        theatrical = [{ release_date: 'T' }]
-                    }
+    /**
+     * Read the per item settings (overrides of the global options) of a movie or show
+     * @param {Number} tmdbId TMDb item ID
+     * @param {string} mode movie or tv
+     * @returns {Promise<Object>} Settings like { regions: ['GB', 'US'] }, empty if nothing is set
+     */
+    readItemSettings (tmdbId, mode) {
+        return this.readWhere(tableItemSettings, getColsItemSettings().names, { itemKey: getItemKey(tmdbId, mode) }).then(data => {
+            return data.length ? JSON.parse(data[0].settings) : {}
+        })
+    }
 
-                    if (digitalPhysical.length) {
-                        let date = digitalPhysical[0].release_date.substring(0, digitalPhysical[0].release_date.lastIndexOf('T'))
-                        isClose = this.isReleaseClose(now, date, maxDaysDifference)
+    /**
+     * Change the per item settings of a movie or show, given keys are merged into the existing settings
+     * @param {Number} tmdbId TMDb item ID
+     * @param {string} mode movie or tv
+     * @param {Object} settings Settings to change, e. g. { regions: ['GB'] }; a key set to null is removed
+     * @returns {Promise<Object>} The new settings
+     */
+    setItemSettings (tmdbId, mode, settings) {
+        return this.readItemSettings(tmdbId, mode).then(stored => {
+            let merged = Object.assign(stored, settings)
+            Object.keys(merged).forEach(key => {
+                if (merged[key] === null) delete merged[key]
+            })
 
-                        if (isClose.isClose && isClose.difference < 0) {
-                            status = 'digitalPhysical-already-released'
-                            this.setCalNotification(intermedResult.details.title, status, now.toISOString().split('T')[0], waitBeforeCalEvent)
-                        }
-                        else if (isClose.isClose) {
-                            status = 'digitalPhysical-close,' + isClose.difference
-                            this.setCalNotification(intermedResult.details.title, status, date, waitBeforeCalEvent)
-                        }
-                        else {
-                            status = 'digitalPhysical-none,' + isClose.difference
-                        }
-                    }
-                    else {
-                        digitalPhysical = [{ release_date: 'T' }]
-                    }
+            return this.upsertGeneric(tableItemSettings, getColsItemSettings().names, {
+                itemKey: getItemKey(tmdbId, mode),
+                tmdbId: tmdbId,
+                mode: mode,
+                settings: JSON.stringify(merged)
+            }, 'itemKey').then(() => merged)
+        })
+    }
 
-                    return {
-                        tmdbId: id,
-                        name: intermedResult.details.title,
-                        originalName: intermedResult.details.original_title,
-                        firstRelease: intermedResult.details.release_date,
-                        theatricalRelease: theatrical[0].release_date.substring(0, theatrical[0].release_date.lastIndexOf('T')),
-                        digitalPhysicalRelease: digitalPhysical[0].release_date.substring(0, digitalPhysical[0].release_date.lastIndexOf('T')),
-                        poster: this.api.getImageLink(intermedResult.details.poster_path, 'original'),
-                        backdrop: this.api.getImageLink(intermedResult.details.backdrop_path, 'original'),
-                        status: this.encodeStatus('movie', status)
-                    }
-                })
-            )
+    /**
+     * Replace the stored upcoming episodes of a show
+     * @param {Number} tmdbId TMDb show ID
+     * @param {Array<Object>} episodes Episode rows (tmdbId, seasonNumber, episodeNumber, episode, name, airDate, episodeType)
+     * @returns {Promise} Resolves once the episodes are written
+     */
+    storeEpisodes (tmdbId, episodes) {
+        let cols = getColsEpisodes().names
+        return this.withWriter(writer => Promise.resolve(writer.deleteRow(tableEpisodes, 'tmdbId', tmdbId)).then(() => {
+            if (episodes.length) return writer.insertMultipleRows(tableEpisodes, cols, episodes.map(ep => getRowValues(cols, ep)))
+        }))
+    }
+
+    /**
+     * Read the stored upcoming episodes, ordered by air date
+     * @param {Number} tmdbId TMDb show ID, if not given the episodes of all shows are returned
+     */
+    readEpisodes (tmdbId) {
+        let read = null
+        if (typeof tmdbId === 'undefined') read = this.readGeneric(tableEpisodes, getColsEpisodes().names)
+        else read = this.readWhere(tableEpisodes, getColsEpisodes().names, { tmdbId: tmdbId })
+        return read.then(data => {
+            return data.sort((a, b) => a.airDate.localeCompare(b.airDate) || a.episode.localeCompare(b.episode))
         })
     }
 
     /**
-     * Creates an event with a reminder in the CalDAV calendar
-     * @param {string} title Title of the calendar event
-     * @param {string} description Description of the event
-     * @param {string} date Date of the event (YYYY-MM-DD)
-     * @param {boolean} doInitialWait If true (default), waits for 2s before continuing to ensure an established connection with the server
+     * Remember which calendar event belongs to which release
+     * @param {Object} data Event row (tmdbId, mode, releaseType, uid, summary, date, contentHash, user)
+     * @returns {Promise} Resolves once the row is written
      */
-    setCalNotification (title, description, date, doInitialWait=true) {
-        let wait = 3000
-        if (!doInitialWait) wait = 1
+    storeCalEvent (data) {
+        return this.storeGeneric(tableEvents, getColsEvents().names, data)
+    }
 
-        sleep(wait).then(() => {
-            // refresh calendar
-            this.client.syncCalendar(this.calTvspotter).then(result => {
-                this.calTvspotter = result
-            })
+    /**
+     * Overwrite a stored event row
+     * @param {string} uid Unique ID of the calendar event
+     * @param {Object} data Event row (tmdbId, mode, releaseType, uid, summary, date, contentHash, user)
+     * @returns {Promise} Resolves once the row is written
+     */
+    updateCalEvent (uid, data) {
+        let cols = getColsEvents().names
+        return this.withWriter(writer => writer.updateRow(tableEvents, cols, getRowValues(cols, data), 'uid', uid))
+    }
 
-            let data = {
-                summary: title,
-                description: description,
-                start: date,
-                end: date
-            }
+    /**
+     * Forget a stored event row
+     * @param {string} uid Unique ID of the calendar event
+     * @returns {Promise} Resolves once the row is deleted
+     */
+    deleteCalEvent (uid) {
+        return this.withWriter(writer => writer.deleteRow(tableEvents, 'uid', uid))
+    }
 
-            // if not existing, create event
-            if (!this.client.checkIfEventExists(this.calTvspotter, data)) {
-                this.client.createEvent(this.calTvspotter, data).then(result => {
-                    if (result.request.status !== 201) throw 'Couldnt create event!'
-                })
-            }
-        })
+    /**
+     * Read the stored calendar events of an item
+     * @param {Number} tmdbId TMDb item ID
+     * @param {string} mode movie or tv
+     * @param {string} user Only return the events in the calendar of this user (optional)
+     */
+    readCalEvents (tmdbId, mode, user) {
+        let conditions = { tmdbId: tmdbId, mode: mode }
+        if (user) conditions.user = user
+        return this.readWhere(tableEvents, getColsEvents().names, conditions)
     }
 
     /**
-     * Open a new database connection
+     * Remember that a notifier was notified about a release
+     * @param {Object} data Notification row (itemKey, tmdbId, mode, releaseType, date, notifier, sentAt, user)
+     * @returns {Promise} Resolves once the row is written
      */
-    openDb () {
-        this.writer = new SQLiteWriter(new DAO(dbName, 'CW'))
+    storeNotification (data) {
+        return this.storeGeneric(tableNotifications, getColsNotifications().names, data)
     }
 
     /**
-     * Close database connection
+     * Read the sent notifications of an item
+     * @param {Number} tmdbId TMDb item ID
+     * @param {string} mode movie or tv
+     * @param {string} user Only return the notifications of this user (optional)
      */
-    closeDb () {
-        this.writer.closeDb()
+    readNotifications (tmdbId, mode, user) {
+        let conditions = { itemKey: getItemKey(tmdbId, mode) }
+        if (user) conditions.user = user
+        return this.readWhere(tableNotifications, getColsNotifications().names, conditions)
     }
 
     /**
-     * Set up the database tables
+     * Put an item on the watchlist of a user, nothing changes if it already is
+     * @param {Number} tmdbId TMDb item ID
+     * @param {string} mode movie or tv
+     * @param {string} user User name
+     * @returns {Promise} Resolves once the entry is written
      */
-    initDb () {
-        this.openDb()
-        this.writer.serialize()
-        this.writer.dropTable(tableMovies)
-        this.writer.dropTable(tableTV)
+    addToWatchlist (tmdbId, mode, user) {
+        let cols = getColsWatchlist().names
+        let sql = 'INSERT INTO ' + tableWatchlist + ' (' + cols.join(', ') + ') VALUES (' + cols.map(() => '?').join(', ') + ')' +
+                  ' ON CONFLICT (user, itemKey) DO NOTHING'
 
-        const colsMovies = getColsMovies()
-        const colsTV = getColsTV()
-        this.writer.createTable(tableMovies, colsMovies.names, colsMovies.types)
-        this.writer.createTable(tableTV, colsTV.names, colsTV.types)
-        this.closeDb()
+        return this.withWriter((writer, dao) => dao.run(sql, getRowValues(cols, {
+            user: user,
+            itemKey: getItemKey(tmdbId, mode),
+            tmdbId: tmdbId,
+            mode: mode,
+            addedAt: new Date().toISOString()
+        })))
     }
 
     /**
-     * Initialise the database with all needed tables
-     * @param {boolean} doReset True => delete the db tables and recreate
+     * Read the names of the users that have an item on their watchlist
+     * @param {Number} tmdbId TMDb item ID
+     * @param {string} mode movie or tv
+     * @returns {Promise<Array<string>>} User names, in the order they added the item
      */
-    initialise (doReset=false) {
-        let sleepFor = 1
-        if (doReset) {
-            this.initDb()
-            sleepFor = 2000
-        }
-        // wait a bit to make sure it is done creating (if newly created)
-        return sleep(sleepFor)
+    readWatchers (tmdbId, mode) {
+        return this.readWhere(tableWatchlist, getColsWatchlist().names, { itemKey: getItemKey(tmdbId, mode) }).then(rows => {
+            return rows.map(row => row.user)
+        })
     }
 
     /**
-     * Store given information in the database
-     * @param {string} table Table name
-     * @param {Array<string>} cols Names of the table columns
-     * @param {Array|Object} data Data to write
+     * Replace the stored watch providers of an item
+     * @param {Number} tmdbId TMDb item ID
+     * @param {string} mode movie or tv
+     * @param {Array<Object>} providers Provider rows (itemKey, tmdbId, mode, region, providerId, providerName, offerType, link, since)
+     * @returns {Promise} Resolves once the providers are written
      */
-    storeGeneric (table, cols, data) {
-        this.openDb()
-        if (Array.isArray(data)) {
-            let dataToWrite = []
-            data.forEach(element => {
-                dataToWrite.push(Object.values(element))
-            })
-            this.writer.insertMultipleRows(table, cols, dataToWrite)
-        }
-        else {
-            this.writer.insertRow(table, cols, Object.values(data))
-        }
-        this.closeDb()
+    storeProviders (tmdbId, mode, providers) {
+        let cols = getColsProviders().names
+        return this.withWriter(writer => Promise.resolve(writer.deleteRow(tableProviders, 'itemKey', getItemKey(tmdbId, mode))).then(() => {
+            if (providers.length) return writer.insertMultipleRows(tableProviders, cols, providers.map(row => getRowValues(cols, row)))
+        }))
     }
 
     /**
-     * Store a list of movies / a movie in the database
-     * @param {Array|Object} data Movies to store
+     * Read the stored watch providers of an item, as of its last check
+     * @param {Number} tmdbId TMDb item ID
+     * @param {string} mode movie or tv
+     * @param {string} region Only return the providers of this region (optional)
      */
-    storeMovies (data) {
-        this.storeGeneric(tableMovies, getColsMovies().names, data)
+    readProviders (tmdbId, mode, region) {
+        let conditions = { itemKey: getItemKey(tmdbId, mode) }
+        if (region) conditions.region = region
+        return this.readWhere(tableProviders, getColsProviders().names, conditions)
     }
 
     /**
-     * Store a list of TV shows / a TV show in the database
-     * @param {Array|Object} data TV shows to store
+     * Get all watch providers TMDb knows in a region, e. g. to find the IDs for the subscribedProviders option
+     * @param {string} mode movie or tv
+     * @param {string} region Region code (default the first of the providerRegions)
+     * @returns {Promise<Array<Object>>} id, name and logo of each provider
      */
-    storeTV (data) {
-        this.storeGeneric(tableTV, getColsTV().names, data)
+    getWatchProviderList (mode, region=this.providerRegions[0]) {
+        return this.api.getWatchProviderList(mode, region).then(list => list.results.map(provider => ({
+            id: provider.provider_id,
+            name: provider.provider_name,
+            logo: this.api.getImageLink(provider.logo_path, 'original')
+        })))
     }
 
     /**
-     * Read rows from a database table
+     * Read all rows of a database table, in the order they were stored
      * @param {string} table Table name
      * @param {Array<string>} cols Names of the table columns
-     * @param {Number} rowCount Max number of rows to return
-     * @param {string} order ASC or DESC
      */
-    readGeneric (table, cols, rowCount=0, order='ASC') {
-        return this.reader.readAllRows(
+    readGeneric (table, cols) {
+        return this.dbReady().then(() => this.reader.readAllRows(
             table,
             cols,
             {
                 orderBy: 'id',
-                orderOrientation: order
-            }
-        ).then(data => {
-            if (rowCount > 0) {
-                return data.slice(0, rowCount)
+                orderOrientation: 'ASC'
             }
-            return data
+        ))
+    }
+
+    /**
+     * Delete the rows of a table that have the given values
+     * @param {string} table Table name
+     * @param {Object} conditions Values keyed by column name, all of them have to match
+     * @returns {Promise} Resolves once the rows are deleted
+     */
+    deleteWhere (table, conditions) {
+        let names = Object.keys(conditions)
+        let sql = 'DELETE FROM ' + table + ' WHERE ' + names.map(name => name + ' = ?').join(' AND ')
+
+        return this.withWriter((writer, dao) => dao.run(sql, names.map(name => conditions[name])))
+    }
+
+    /**
+     * Read the rows of a table that have the given values, through the indexes of the looked up columns
+     * @param {string} table Table name
+     * @param {Array<string>} cols Names of the table columns
+     * @param {Object} conditions Values keyed by column name, all of them have to match
+     */
+    readWhere (table, cols, conditions) {
+        let names = Object.keys(conditions)
+        let sql = 'SELECT id, ' + cols.join(', ') + ' FROM ' + table +
+                  ' WHERE ' + names.map(name => name + ' = ?').join(' AND ') + ' ORDER BY id ASC'
+        return this.dbReady().then(() => this.readDao.all(sql, names.map(name => conditions[name])))
+    }
+
+    /**
+     * Read stored movies or shows, filtered, sorted and paginated by SQLite
+     * @param {string} table movies or tv
+     * @param {Array<string>} cols Names of the table columns
+     * @param {string} mode movie or tv
+     * @param {Object|Number} query See readMovies, a number is the limit of older versions (with order as next argument)
+     * @param {string} order ASC or DESC, only used together with a number as query
+     */
+    readWatchlist (table, cols, mode, query={}, order='ASC') {
+        if (typeof query === 'number') query = { limit: query, order: order }
+        return this.dbReady().then(() => {
+            if (query.user) this.getUser(query.user)
+            let built = buildWatchlistQuery(table, cols, mode, query)
+            return this.readDao.all(built.sql, built.params)
+        }).then(data => {
+            return data.map(row => Object.assign(row, { status: decodeStatus(row.status, mode) }))
         })
     }
 
     /**
      * Read movies from the database
-     * @param {Number} rowCount Max number of movies to return
-     * @param {string} order ASC or DESC
+     * @param {Object} query Everything is optional:
+     *                       state: status state or list of them (e. g. 'close' or ['close', 'upcoming']),
+     *                       releaseFrom, releaseTo: release date window (YYYY-MM-DD, inclusive),
+     *                       withinDays: only items releasing today or in the next days,
+     *                       name: part of the name or original name,
+     *                       sortBy: 'added' (default), 'name' or 'release' (date of the status, items without come last),
+     *                       order: ASC (default) or DESC, limit and offset for pagination,
+     *                       user: only the items on the watchlist of this user (default the items of all users)
+     * @param {string} order ASC or DESC if query is a number (the limit, like in older versions)
      */
-    readMovies (rowCount=0, order='ASC') {
-        return this.readGeneric(tableMovies, getColsMovies().names, rowCount, order)
+    readMovies (query={}, order='ASC') {
+        return this.readWatchlist(tableMovies, getColsMovies().names, 'movie', query, order)
     }
 
     /**
      * Read TV shows from the database
-     * @param {Number} rowCount Max number of shows to return
-     * @param {string} order ASC or DESC
+     * @param {Object} query See readMovies, the release date of a show is the one of its next episode
+     * @param {string} order ASC or DESC if query is a number (the limit, like in older versions)
      */
-    readTV (rowCount=0, order='ASC') {
-        return this.readGeneric(tableTV, getColsTV().names, rowCount, order)
+    readTV (query={}, order='ASC') {
+        return this.readWatchlist(tableTV, getColsTV().names, 'tv', query, order)
     }
 
     /**
      * Check if a movie or show is already stored in the database
      * @param {Number} tmdbId TMDb item ID
      * @param {string} mode movie or tv
+     * @param {string} user Check the watchlist of this user instead (optional)
      */
-    checkIfStored (tmdbId, mode) {
-        return new Promise((resolve, reject) => {
-            let result = false
-            if (mode === 'movie') {
-                this.readMovies().then(data => {
-                    if (data.filter(obj => obj.tmdbId.toString() === tmdbId.toString()).length) {
-                        result = true
-                    }
-                    resolve(result)
-                })
-            }
-            else if (mode === 'tv') {
-                this.readTV().then(data => {
-                    if (data.filter(obj => obj.tmdbId.toString() === tmdbId.toString()).length) {
-                        result = true
-                    }
-                    resolve(result)
-                })
-            }
-            else reject('No valid mode given.')
+    checkIfStored (tmdbId, mode, user) {
+        if (user) return this.readWatchers(tmdbId, mode).then(watchers => watchers.includes(user))
+        return this.readStored(tmdbId, mode).then(row => row !== null)
+    }
+
+    /**
+     * Read a single stored movie or show
+     * @param {Number} tmdbId TMDb item ID
+     * @param {string} mode movie or tv
+     * @returns {Promise<Object|null>} The stored row, null if the item is not stored
+     */
+    readStored (tmdbId, mode) {
+        let read = null
+        if (mode === 'movie') read = this.readWhere(tableMovies, getColsMovies().names, { tmdbId: tmdbId })
+        else if (mode === 'tv') read = this.readWhere(tableTV, getColsTV().names, { tmdbId: tmdbId })
+        else return Promise.reject(new Error('No valid mode given.'))
+
+        return read.then(data => {
+            if (!data.length) return null
+            return Object.assign(data[0], { status: decodeStatus(data[0].status, mode) })
         })
     }
 
@@ -672,32 +2274,52 @@ class TVspotter {
      * @param {Number} tmdbId TMDb item ID
      * @param {Array|Object} newData Data to overwrite with
      * @param {string} mode movie or tv
+     * @returns {Promise} Resolves once the row is written
      */
     updateStored (tmdbId, newData, mode) {
-        this.openDb()
-        if (mode === 'movie') {
-            this.writer.updateRow(tableMovies, getColsMovies().names, newData, 'tmdbId', tmdbId)
-        }
-        else if (mode === 'tv') {
-            this.writer.updateRow(tableTV, getColsTV().names, newData, 'tmdbId', tmdbId)
-        }
-        this.closeDb()
+        return this.withWriter(writer => {
+            if (mode === 'movie') {
+                return writer.updateRow(tableMovies, getColsMovies().names, getRowValues(getColsMovies().names, newData), 'tmdbId', tmdbId)
+            }
+            else if (mode === 'tv') {
+                return writer.updateRow(tableTV, getColsTV().names, getRowValues(getColsTV().names, newData), 'tmdbId', tmdbId)
+            }
+        })
     }
 
     /**
-     * Delete a stored movie or show
+     * Delete a stored movie or show together with its calendar events
+     * With a user only the user's entry, events and notifications are deleted, the item itself once nobody watches it anymore
      * @param {Number} tmdbId TMDb item ID
      * @param {string} mode movie or tv
+     * @param {string} user User whose watchlist to remove the item from (default everyone's)
+     * @returns {Promise<Number>} Number of deleted calendar events
      */
-    removeStored (tmdbId, mode) {
-        this.openDb()
+    removeStored (tmdbId, mode, user) {
+        if (user) {
+            let itemKey = getItemKey(tmdbId, mode)
+            return this.deleteWhere(tableWatchlist, { user: user, itemKey: itemKey }).then(() => {
+                return this.readWatchers(tmdbId, mode)
+            }).then(watchers => {
+                if (!watchers.length) return this.removeStored(tmdbId, mode)
+                return this.deleteWhere(tableNotifications, { user: user, itemKey: itemKey }).then(() => {
+                    return this.removeCalNotifications(tmdbId, mode, event => event.user === user)
+                })
+            })
+        }
+
+        let itemKey = getItemKey(tmdbId, mode)
+        let deletes = [[tableItemSettings, 'itemKey', itemKey], [tableNotifications, 'itemKey', itemKey],
+            [tableProviders, 'itemKey', itemKey], [tableWatchlist, 'itemKey', itemKey]]
         if (mode === 'movie') {
-            this.writer.deleteRow(tableMovies, 'tmdbId', tmdbId)
+            deletes.unshift([tableMovies, 'tmdbId', tmdbId])
         }
         else if (mode === 'tv') {
-            this.writer.deleteRow(tableTV, 'tmdbId', tmdbId)
+            deletes.unshift([tableTV, 'tmdbId', tmdbId], [tableEpisodes, 'tmdbId', tmdbId])
         }
-        this.closeDb()
+        return this.withWriter(writer => {
+            return deletes.reduce((chain, args) => chain.then(() => writer.deleteRow(...args)), Promise.resolve())
+        }).then(() => this.removeCalNotifications(tmdbId, mode))
     }
 }
 
@@ -0,0 +1,372 @@
+const { movieReleaseTypes, decodeStatus, serializeStatus, isLegacyStatus } = require('./status')
+
+const versionTable = 'schemaVersion'
+/**
+ * User of the account given to the TVspotter constructor, owns everything stored before there were users
+ */
+const defaultUser = 'default'
+const versionCols = {
+    names: ['version', 'description', 'appliedAt'],
+    types: ['INTEGER', 'TEXT', 'TEXT']
+}
+
+/**
+ * Convert the statuses of a table that still use the old integer scheme into serialised status objects
+ * @param {SchemaMigrator} db Migrator of the database
+ * @param {string} table movies or tv
+ * @param {string} mode movie or tv
+ */
+function convertStatuses (db, table, mode) {
+    let dateCols = mode === 'tv' ? ['nextRelease'] : movieReleaseTypes.map(type => type.name + 'Release').concat(['digitalPhysicalRelease'])
+    return db.readRows(table, ['tmdbId', 'status'].concat(dateCols)).then(rows => {
+        let legacy = rows.filter(row => isLegacyStatus(row.status))
+        return legacy.reduce((chain, row) => chain.then(() => {
+            let status = decodeStatus(row.status, mode)
+            if (status.daysRemaining !== null) {
+                // digital and physical releases shared one column before the release types were split
+                let date = row.nextRelease
+                if (mode === 'movie') date = status.kind === 'theatrical' ? row.theatricalRelease : row.digitalPhysicalRelease
+                status.date = date || null
+            }
+            return db.writer.updateRow(table, ['status'], [serializeStatus(status)], 'tmdbId', row.tmdbId)
+        }), Promise.resolve())
+    })
+}
+
+/**
+ * Fill the state and releaseDate columns from the stored statuses
+ * @param {SchemaMigrator} db Migrator of the database
+ * @param {string} table movies or tv
+ * @param {string} mode movie or tv
+ */
+function copyStatuses (db, table, mode) {
+    return db.readRows(table, ['tmdbId', 'status']).then(rows => rows.reduce((chain, row) => chain.then(() => {
+        let status = decodeStatus(row.status, mode)
+        return db.writer.updateRow(table, ['state', 'releaseDate'], [status.state, status.date], 'tmdbId', row.tmdbId)
+    }), Promise.resolve()))
+}
+
+/**
+ * Put every stored movie or show on the watchlist of the default user, who owned all items before there were users
+ * @param {SchemaMigrator} db Migrator of the database
+ * @param {string} table movies or tv
+ * @param {string} mode movie or tv
+ */
+function assignToDefaultUser (db, table, mode) {
+    let addedAt = new Date().toISOString()
+    return db.readRows(table, ['tmdbId']).then(rows => rows.reduce((chain, row) => chain.then(() => {
+        return db.writer.insertRow('watchlist', ['user', 'itemKey', 'tmdbId', 'mode', 'addedAt'], [
+            defaultUser,
+            mode + ':' + row.tmdbId,
+            row.tmdbId,
+            mode,
+            addedAt
+        ])
+    }), Promise.resolve()))
+}
+
+/**
+ * Ordered schema migrations, each one brings the database from the previous version to its own
+ * Steps only add what is missing, so databases from before the versioning (version 0) run all of them without losing data
+ * Columns are never renamed or dropped, old ones are left in place
+ */
+const migrations = [
+    {
+        version: 1,
+        description: 'Movies and TV shows',
+        up: db => db.createTable('movies', {
+            tmdbId: 'INTEGER',
+            name: 'TEXT',
+            originalName: 'TEXT',
+            firstRelease: 'TEXT',
+            theatricalRelease: 'TEXT',
+            digitalPhysicalRelease: 'TEXT',
+            poster: 'TEXT',
+            backdrop: 'TEXT',
+            status: 'INTEGER'
+        }).then(() => db.createTable('tv', {
+            tmdbId: 'INTEGER',
+            name: 'TEXT',
+            originalName: 'TEXT',
+            firstRelease: 'TEXT',
+            nextRelease: 'TEXT',
+            nextEpisode: 'TEXT',
+            poster: 'TEXT',
+            backdrop: 'TEXT',
+            status: 'INTEGER'
+        }))
+    },
+    {
+        version: 2,
+        description: 'Date and certification of every movie release type, release region',
+        up: db => db.addColumns('movies', {
+            premiereRelease: 'TEXT',
+            premiereCertification: 'TEXT',
+            theatricalLimitedRelease: 'TEXT',
+            theatricalLimitedCertification: 'TEXT',
+            theatricalCertification: 'TEXT',
+            digitalRelease: 'TEXT',
+            digitalCertification: 'TEXT',
+            physicalRelease: 'TEXT',
+            physicalCertification: 'TEXT',
+            tvRelease: 'TEXT',
+            tvCertification: 'TEXT',
+            region: 'TEXT'
+        })
+    },
+    {
+        version: 3,
+        description: 'Status objects instead of integer codes',
+        up: db => convertStatuses(db, 'movies', 'movie').then(() => convertStatuses(db, 'tv', 'tv'))
+    },
+    {
+        version: 4,
+        description: 'Calendar events, upcoming episodes and item settings',
+        up: db => db.createTable('events', {
+            tmdbId: 'INTEGER',
+            mode: 'TEXT',
+            releaseType: 'TEXT',
+            uid: 'TEXT',
+            summary: 'TEXT',
+            date: 'TEXT'
+        }).then(() => db.createTable('episodes', {
+            tmdbId: 'INTEGER',
+            seasonNumber: 'INTEGER',
+            episodeNumber: 'INTEGER',
+            episode: 'TEXT',
+            name: 'TEXT',
+            airDate: 'TEXT',
+            episodeType: 'TEXT'
+        })).then(() => db.createTable('itemSettings', {
+            itemKey: 'TEXT',
+            tmdbId: 'INTEGER',
+            mode: 'TEXT',
+            settings: 'TEXT'
+        }))
+    },
+    {
+        version: 5,
+        description: 'Content hash of calendar events',
+        up: db => db.addColumns('events', { contentHash: 'TEXT' })
+    },
+    {
+        version: 6,
+        description: 'Sent notifications',
+        up: db => db.createTable('notifications', {
+            itemKey: 'TEXT',
+            tmdbId: 'INTEGER',
+            mode: 'TEXT',
+            releaseType: 'TEXT',
+            date: 'TEXT',
+            notifier: 'TEXT',
+            sentAt: 'TEXT'
+        })
+    },
+    {
+        version: 7,
+        description: 'Watch providers',
+        up: db => db.createTable('providers', {
+            itemKey: 'TEXT',
+            tmdbId: 'INTEGER',
+            mode: 'TEXT',
+            region: 'TEXT',
+            providerId: 'INTEGER',
+            providerName: 'TEXT',
+            offerType: 'TEXT',
+            link: 'TEXT',
+            since: 'TEXT'
+        })
+    },
+    {
+        version: 8,
+        description: 'Unique items and settings, indexes for the lookups of single items',
+        up: db => db.removeDuplicates('movies', 'tmdbId')
+            .then(() => db.removeDuplicates('tv', 'tmdbId'))
+            .then(() => db.removeDuplicates('itemSettings', 'itemKey'))
+            .then(() => db.createIndex('movies', ['tmdbId'], true))
+            .then(() => db.createIndex('tv', ['tmdbId'], true))
+            .then(() => db.createIndex('itemSettings', ['itemKey'], true))
+            .then(() => db.createIndex('events', ['uid'], true))
+            .then(() => db.createIndex('events', ['tmdbId', 'mode']))
+            .then(() => db.createIndex('episodes', ['tmdbId']))
+            .then(() => db.createIndex('notifications', ['itemKey']))
+            .then(() => db.createIndex('providers', ['itemKey']))
+    },
+    {
+        version: 9,
+        description: 'State and release date of the status as columns to filter and sort the watchlist by',
+        up: db => db.addColumns('movies', { state: 'TEXT', releaseDate: 'TEXT' })
+            .then(() => db.addColumns('tv', { state: 'TEXT', releaseDate: 'TEXT' }))
+            .then(() => copyStatuses(db, 'movies', 'movie'))
+            .then(() => copyStatuses(db, 'tv', 'tv'))
+            .then(() => db.createIndex('movies', ['releaseDate']))
+            .then(() => db.createIndex('tv', ['releaseDate']))
+    },
+    {
+        version: 10,
+        description: 'Watchlist entries per user, calendar events and notifications per user',
+        up: db => db.createTable('watchlist', {
+            user: 'TEXT',
+            itemKey: 'TEXT',
+            tmdbId: 'INTEGER',
+            mode: 'TEXT',
+            addedAt: 'TEXT'
+        }).then(() => db.addColumns('events', { user: 'TEXT' }))
+            .then(() => db.addColumns('notifications', { user: 'TEXT' }))
+            .then(() => db.fillColumn('events', 'user', defaultUser))
+            .then(() => db.fillColumn('notifications', 'user', defaultUser))
+            .then(() => assignToDefaultUser(db, 'movies', 'movie'))
+            .then(() => assignToDefaultUser(db, 'tv', 'tv'))
+            .then(() => db.createIndex('watchlist', ['user', 'itemKey'], true))
+            .then(() => db.createIndex('watchlist', ['itemKey']))
+    }
+]
+
+class SchemaMigrator {
+    /**
+     * Bring a database to the latest schema version, remembering the applied migrations in the schemaVersion table
+     * @param {DAO} dao DBmngr DAO opened with 'CW', its run and all are used for what the writer can not do
+     * @param {SQLiteWriter} writer Writer on the DAO
+     * @param {SQLiteReader} reader Reader on the DAO
+     * @param {Array<Object>} list Migrations to use, each with version, description and up (default all of this module)
+     */
+    constructor (dao, writer, reader, list=migrations) {
+        this.dao = dao
+        this.writer = writer
+        this.reader = reader
+        this.migrations = list.slice().sort((a, b) => a.version - b.version)
+    }
+
+    /**
+     * Get the names of all tables
+     */
+    getTables () {
+        return this.dao.all('SELECT name FROM sqlite_master WHERE type = \'table\'').then(rows => rows.map(row => row.name))
+    }
+
+    /**
+     * Get the column names of a table
+     * @param {string} table Table name
+     */
+    getColumns (table) {
+        return this.dao.all('PRAGMA table_info(' + table + ')').then(rows => rows.map(row => row.name))
+    }
+
+    /**
+     * Read all rows of a table
+     * @param {string} table Table name
+     * @param {Array<string>} cols Names of the columns to read
+     */
+    readRows (table, cols) {
+        return Promise.resolve(this.reader.readAllRows(table, cols, { orderBy: 'id', orderOrientation: 'ASC' }))
+    }
+
+    /**
+     * Create a table, or add the missing columns if it already exists
+     * @param {string} table Table name
+     * @param {Object} cols Column types keyed by column name
+     */
+    createTable (table, cols) {
+        return this.getTables().then(tables => {
+            if (tables.includes(table)) return this.addColumns(table, cols)
+            return this.writer.createTable(table, Object.keys(cols), Object.values(cols))
+        })
+    }
+
+    /**
+     * Add the columns a table does not have yet
+     * @param {string} table Table name
+     * @param {Object} cols Column types keyed by column name
+     */
+    addColumns (table, cols) {
+        return this.getColumns(table).then(existing => {
+            return Object.keys(cols).filter(name => !existing.includes(name)).reduce((chain, name) => chain.then(() => {
+                return this.dao.run('ALTER TABLE ' + table + ' ADD COLUMN ' + name + ' ' + cols[name])
+            }), Promise.resolve())
+        })
+    }
+
+    /**
+     * Set a column to a value in all rows where it is empty, e. g. after adding it
+     * @param {string} table Table name
+     * @param {string} col Column name
+     * @param {*} value Value to set
+     */
+    fillColumn (table, col, value) {
+        return this.dao.run('UPDATE ' + table + ' SET ' + col + ' = ? WHERE ' + col + ' IS NULL', [value])
+    }
+
+    /**
+     * Delete all but the newest row of each value of a column, e. g. before it gets a unique index
+     * @param {string} table Table name
+     * @param {string} col Column that should be unique
+     */
+    removeDuplicates (table, col) {
+        return this.dao.run('DELETE FROM ' + table + ' WHERE id NOT IN (SELECT MAX(id) FROM ' + table + ' GROUP BY ' + col + ')')
+    }
+
+    /**
+     * Create an index if it does not exist yet, named like table_col1_col2
+     * @param {string} table Table name
+     * @param {Array<string>} cols Indexed columns
+     * @param {boolean} unique True => no two rows may have the same values
+     */
+    createIndex (table, cols, unique=false) {
+        let name = [table].concat(cols).join('_')
+        return this.dao.run('CREATE ' + (unique ? 'UNIQUE ' : '') + 'INDEX IF NOT EXISTS ' + name + ' ON ' + table + ' (' + cols.join(', ') + ')')
+    }
+
+    /**
+     * Get the schema version of the database, creating the version table if needed
+     * @returns {Promise<Number>} Version of the last applied migration, 0 if none was applied
+     */
+    getVersion () {
+        return this.createTable(versionTable, versionCols.names.reduce((cols, name, i) => {
+            cols[name] = versionCols.types[i]
+            return cols
+        }, {})).then(() => this.readRows(versionTable, versionCols.names)).then(rows => {
+            return rows.reduce((version, row) => Math.max(version, Number(row.version)), 0)
+        })
+    }
+
+    /**
+     * Apply all migrations newer than the database, one after another
+     * @returns {Promise<Object>} from (version before), to (version now) and applied (versions applied now)
+     */
+    migrate () {
+        let result = { from: 0, to: 0, applied: [] }
+        return this.getVersion().then(version => {
+            result.from = version
+            result.to = version
+            let pending = this.migrations.filter(migration => migration.version > version)
+            return pending.reduce((chain, migration) => chain.then(() => {
+                return Promise.resolve(migration.up(this)).then(() => {
+                    return this.writer.insertRow(versionTable, versionCols.names, [
+                        migration.version,
+                        migration.description,
+                        new Date().toISOString()
+                    ])
+                }).then(() => {
+                    result.to = migration.version
+                    result.applied.push(migration.version)
+                }).catch(err => {
+                    throw new Error('Migration to schema version ' + migration.version + ' failed: ' +
+                                    (err && err.message ? err.message : err))
+                })
+            }), Promise.resolve())
+        }).then(() => result)
+    }
+}
+
+/**
+ * Latest schema version
+ */
+const latestVersion = migrations[migrations.length - 1].version
+
+module.exports = {
+    migrations,
+    latestVersion,
+    versionTable,
+    defaultUser,
+    SchemaMigrator
+}
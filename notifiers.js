@@ -0,0 +1,248 @@
+const fetch = require('node-fetch')
+const nodemailer = require('nodemailer')
+const {v4: uuidv4} = require('uuid')
+
+/**
+ * Shorten a URL to its origin so it can be shown, webhook paths and queries often contain secret tokens
+ * @param {string} url URL to shorten
+ */
+function redactUrl (url) {
+    try {
+        return new URL(url).origin
+    }
+    catch (err) {
+        return '(invalid URL)'
+    }
+}
+
+/**
+ * Send a request and fail on non-2xx responses, errors only name the origin of the URL
+ * @param {Function} fetchImpl fetch implementation
+ * @param {string} url URL to send to
+ * @param {Object} options fetch options
+ */
+function send (fetchImpl, url, options) {
+    let target = redactUrl(url)
+    return fetchImpl(url, options).catch(err => {
+        // fetch errors name the whole URL
+        let message = String(err && err.message ? err.message : err).split(url).join(target)
+        throw new Error('Request to ' + target + ' failed: ' + message)
+    }).then(res => {
+        if (!res.ok) throw new Error('Request to ' + target + ' failed with status ' + res.status)
+        return res
+    })
+}
+
+/**
+ * Encode a header value that is not printable ASCII as RFC 2047 encoded word, fetch refuses anything beyond Latin-1
+ * @param {string} value Header value
+ */
+function encodeHeader (value) {
+    if (/^[\x20-\x7e]*$/.test(value)) return value
+    return '=?UTF-8?B?' + Buffer.from(value, 'utf8').toString('base64') + '?='
+}
+
+/**
+ * Turn a notification into plain text
+ * @param {Object} notification See Notifier.notify
+ */
+function formatText (notification) {
+    return [notification.description, notification.url].filter(Boolean).join('\n\n')
+}
+
+class Notifier {
+    /**
+     * Base class of all notification channels, subclasses implement notify
+     * @param {Object} options name (default the type, needs to be unique), enabled (default true),
+     *                         fetch (fetch implementation for HTTP based notifiers, default node-fetch)
+     */
+    constructor (options={}) {
+        this.type = 'custom'
+        this.name = options.name || null
+        this.enabled = options.enabled !== false
+        this.fetch = options.fetch || fetch
+    }
+
+    /**
+     * Send a notification about a close release
+     * @param {Object} notification key (tmdbId, mode, releaseType and user), title, description, date (YYYY-MM-DD),
+     *                              status (see status.js), url (TMDb page) and image (poster URL, may be null)
+     * @returns {Promise} Resolves once the notification was accepted
+     */
+    notify (notification) {
+        return Promise.reject(new Error('Notifier ' + this.name + ' does not implement notify'))
+    }
+}
+
+class WebhookNotifier extends Notifier {
+    /**
+     * POST the notification as JSON to a URL
+     * @param {Object} options url, headers (optional), method (default POST)
+     */
+    constructor (options) {
+        super(options)
+        if (!options.url) throw new Error('The webhook notifier needs a url')
+        this.type = 'webhook'
+        this.url = options.url
+        this.method = options.method || 'POST'
+        this.headers = options.headers || {}
+    }
+
+    notify (notification) {
+        return send(this.fetch, this.url, {
+            method: this.method,
+            headers: Object.assign({ 'Content-Type': 'application/json' }, this.headers),
+            body: JSON.stringify(notification)
+        })
+    }
+}
+
+class EmailNotifier extends Notifier {
+    /**
+     * Send the notification as mail via SMTP
+     * @param {Object} options host, port (default 587), secure (default true for port 465), auth ({ user, pass }, optional),
+     *                         from, to (address or list of addresses)
+     */
+    constructor (options) {
+        super(options)
+        if (!options.host || !options.from || !options.to) throw new Error('The email notifier needs host, from and to')
+        this.type = 'email'
+        this.from = options.from
+        this.to = options.to
+        let port = options.port || 587
+        this.transport = nodemailer.createTransport({
+            host: options.host,
+            port: port,
+            secure: typeof options.secure === 'undefined' ? port === 465 : options.secure,
+            auth: options.auth
+        })
+    }
+
+    notify (notification) {
+        return this.transport.sendMail({
+            from: this.from,
+            to: this.to,
+            subject: notification.title,
+            text: formatText(notification)
+        })
+    }
+}
+
+class NtfyNotifier extends Notifier {
+    /**
+     * Publish the notification to an ntfy topic
+     * @param {Object} options url (server, default https://ntfy.sh), topic, token (optional), priority (1-5, optional)
+     */
+    constructor (options) {
+        super(options)
+        if (!options.topic) throw new Error('The ntfy notifier needs a topic')
+        this.type = 'ntfy'
+        this.url = (options.url || 'https://ntfy.sh').replace(/\/$/, '')
+        this.topic = options.topic
+        this.token = options.token || null
+        this.priority = options.priority || null
+    }
+
+    notify (notification) {
+        // ntfy decodes encoded words, titles of movies and shows often are not ASCII
+        let headers = { 'Title': encodeHeader(notification.title) }
+        if (notification.url) headers['Click'] = notification.url
+        if (notification.image) headers['Attach'] = notification.image
+        if (this.priority) headers['Priority'] = String(this.priority)
+        if (this.token) headers['Authorization'] = 'Bearer ' + this.token
+        return send(this.fetch, this.url + '/' + encodeURIComponent(this.topic), {
+            method: 'POST',
+            headers: headers,
+            body: formatText(notification)
+        })
+    }
+}
+
+class GotifyNotifier extends Notifier {
+    /**
+     * Push the notification to a Gotify server
+     * @param {Object} options url (server), token (application token), priority (default 5)
+     */
+    constructor (options) {
+        super(options)
+        if (!options.url || !options.token) throw new Error('The gotify notifier needs url and token')
+        this.type = 'gotify'
+        this.url = options.url.replace(/\/$/, '')
+        this.token = options.token
+        this.priority = typeof options.priority === 'undefined' ? 5 : options.priority
+    }
+
+    notify (notification) {
+        return send(this.fetch, this.url + '/message', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Gotify-Key': this.token },
+            body: JSON.stringify({
+                title: notification.title,
+                message: formatText(notification),
+                priority: this.priority
+            })
+        })
+    }
+}
+
+class MatrixNotifier extends Notifier {
+    /**
+     * Post the notification as message into a Matrix room
+     * @param {Object} options url (homeserver), accessToken, roomId (like !abc:example.org)
+     */
+    constructor (options) {
+        super(options)
+        if (!options.url || !options.accessToken || !options.roomId) throw new Error('The matrix notifier needs url, accessToken and roomId')
+        this.type = 'matrix'
+        this.url = options.url.replace(/\/$/, '')
+        this.accessToken = options.accessToken
+        this.roomId = options.roomId
+    }
+
+    notify (notification) {
+        let url = this.url + '/_matrix/client/v3/rooms/' + encodeURIComponent(this.roomId) +
+                  '/send/m.room.message/' + uuidv4()
+        return send(this.fetch, url, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + this.accessToken },
+            body: JSON.stringify({
+                msgtype: 'm.text',
+                body: notification.title + '\n' + formatText(notification)
+            })
+        })
+    }
+}
+
+const notifierTypes = {
+    webhook: WebhookNotifier,
+    email: EmailNotifier,
+    ntfy: NtfyNotifier,
+    gotify: GotifyNotifier,
+    matrix: MatrixNotifier
+}
+
+/**
+ * Create a notifier from its configuration
+ * @param {Object|Notifier} config type (webhook, email, ntfy, gotify or matrix) and the options of that notifier,
+ *                                 or an already created notifier (e. g. a custom subclass of Notifier)
+ */
+function createNotifier (config) {
+    let notifier = config
+    if (!(config instanceof Notifier)) {
+        let NotifierType = notifierTypes[config.type]
+        if (!NotifierType) throw new Error('Unknown notifier type: ' + config.type)
+        notifier = new NotifierType(config)
+    }
+    if (!notifier.name) notifier.name = notifier.type
+    return notifier
+}
+
+module.exports = {
+    Notifier,
+    WebhookNotifier,
+    EmailNotifier,
+    NtfyNotifier,
+    GotifyNotifier,
+    MatrixNotifier,
+    createNotifier
+}
@@ -0,0 +1,68 @@
+class RateLimiter {
+    /**
+     * Queue that starts at most maxRequests tasks per interval, in the order they were scheduled
+     * @param {Object} options maxRequests (default 40), interval (ms, default 1000)
+     */
+    constructor (options={}) {
+        this.maxRequests = options.maxRequests || 40
+        this.interval = options.interval || 1000
+        this.started = []
+        this.queue = []
+        this.timer = null
+        this.pausedUntil = 0
+    }
+
+    /**
+     * Run a task once the rate limit allows it
+     * @param {Function} task Returns a promise
+     * @returns {Promise} Result of the task
+     */
+    schedule (task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject })
+            this.drain()
+        })
+    }
+
+    /**
+     * Do not start any task for a while, e. g. after the server answered with 429
+     * @param {Number} ms Milliseconds to wait
+     */
+    pause (ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms)
+        if (this.timer !== null) {
+            clearTimeout(this.timer)
+            this.timer = null
+        }
+        this.drain()
+    }
+
+    /**
+     * Start as many queued tasks as allowed and plan the next run
+     */
+    drain () {
+        if (this.timer !== null) return
+
+        while (this.queue.length) {
+            let now = Date.now()
+            this.started = this.started.filter(time => now - time < this.interval)
+
+            let wait = 0
+            if (this.pausedUntil > now) wait = this.pausedUntil - now
+            else if (this.started.length >= this.maxRequests) wait = this.interval - (now - this.started[0])
+            if (wait > 0) {
+                this.timer = setTimeout(() => {
+                    this.timer = null
+                    this.drain()
+                }, wait)
+                return
+            }
+
+            this.started.push(now)
+            let job = this.queue.shift()
+            Promise.resolve().then(job.task).then(job.resolve, job.reject)
+        }
+    }
+}
+
+module.exports = RateLimiter
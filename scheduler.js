@@ -0,0 +1,238 @@
+const EventEmitter = require('events')
+
+const units = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+}
+
+/**
+ * Longest delay setTimeout supports, longer ones fire immediately
+ */
+const maxTimeout = 2 ** 31 - 1
+
+const cronFieldRanges = [
+    { min: 0, max: 59 },    // minute
+    { min: 0, max: 23 },    // hour
+    { min: 1, max: 31 },    // day of month
+    { min: 1, max: 12 },    // month
+    { min: 0, max: 6 }      // day of week (0 = sunday)
+]
+
+/**
+ * Real clock, can be replaced by a fake one for testing
+ */
+const systemClock = {
+    now: () => new Date(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: handle => clearTimeout(handle)
+}
+
+/**
+ * Parse a single field of a cron expression into the list of allowed values
+ * @param {string} field Field like '*', '5', '1-5', '*\/15' or '0,30'
+ * @param {Object} range Min and max value of the field
+ */
+function parseCronField (field, range) {
+    let values = []
+    field.split(',').forEach(part => {
+        let [base, step] = part.split('/')
+        step = typeof step === 'undefined' ? 1 : Number(step)
+
+        let from = range.min
+        let to = range.max
+        if (base !== '*') {
+            let bounds = base.split('-').map(Number)
+            from = bounds[0]
+            to = bounds.length > 1 ? bounds[1] : (part.includes('/') ? range.max : bounds[0])
+        }
+
+        if ([from, to, step].some(isNaN) || step < 1 || from < range.min || to > range.max || from > to) {
+            throw new Error('Invalid cron field: ' + field)
+        }
+        for (let i = from; i <= to; i += step) values.push(i)
+    })
+    return values
+}
+
+/**
+ * Parse a 5 field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression Cron expression, e. g. '0 6 * * *'
+ */
+function parseCron (expression) {
+    let fields = expression.trim().split(/\s+/)
+    if (fields.length !== 5) throw new Error('Cron expression needs 5 fields: ' + expression)
+    let parsed = fields.map((field, i) => parseCronField(field, cronFieldRanges[i]))
+    return {
+        minutes: parsed[0],
+        hours: parsed[1],
+        daysOfMonth: parsed[2],
+        months: parsed[3],
+        daysOfWeek: parsed[4],
+        anyDayOfMonth: fields[2] === '*',
+        anyDayOfWeek: fields[4] === '*'
+    }
+}
+
+/**
+ * Check if a date matches the day part of a parsed cron expression (same semantics as cron: if both
+ * day fields are restricted, either one may match)
+ * @param {Object} cron Parsed cron expression
+ * @param {Date} date Date to check
+ */
+function matchesCronDay (cron, date) {
+    let dom = cron.daysOfMonth.includes(date.getDate())
+    let dow = cron.daysOfWeek.includes(date.getDay())
+    if (cron.anyDayOfMonth && cron.anyDayOfWeek) return true
+    if (cron.anyDayOfMonth) return dow
+    if (cron.anyDayOfWeek) return dom
+    return dom || dow
+}
+
+/**
+ * Get the next date after the given one that matches a parsed cron expression
+ * @param {Object} cron Parsed cron expression
+ * @param {Date} after Date to start searching from
+ */
+function nextCronDate (cron, after) {
+    let date = new Date(after.getTime())
+    date.setSeconds(0, 0)
+    date.setMinutes(date.getMinutes() + 1)
+
+    // give up after ~5 years, the expression can never match then (e. g. 31st of February)
+    let limit = new Date(after.getTime())
+    limit.setFullYear(limit.getFullYear() + 5)
+
+    while (date <= limit) {
+        if (!cron.months.includes(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1)
+            date.setHours(0, 0)
+        }
+        else if (!matchesCronDay(cron, date)) {
+            date.setDate(date.getDate() + 1)
+            date.setHours(0, 0)
+        }
+        else if (!cron.hours.includes(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0)
+        }
+        else if (!cron.minutes.includes(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1)
+        }
+        else return date
+    }
+    throw new Error('Cron expression never matches')
+}
+
+/**
+ * Turn the interval option into a function returning the next run date
+ * @param {Number|string} interval Milliseconds, a duration like '30m', '6h', '1d' or a cron expression
+ */
+function createPlanner (interval) {
+    if (typeof interval === 'number') {
+        if (interval <= 0) throw new Error('Interval must be greater than 0')
+        return from => new Date(from.getTime() + interval)
+    }
+
+    let duration = /^(\d+)\s*(ms|s|m|h|d)$/.exec(interval.trim())
+    if (duration) {
+        let ms = Number(duration[1]) * units[duration[2]]
+        if (ms <= 0) throw new Error('Interval must be greater than 0')
+        return from => new Date(from.getTime() + ms)
+    }
+
+    let cron = parseCron(interval)
+    return from => nextCronDate(cron, from)
+}
+
+class Scheduler extends EventEmitter {
+    /**
+     * Periodically re-check every stored movie and show
+     * Emits 'refresh' with the summary of refreshAll, 'error' if a run fails and 'scheduled' with the next run date
+     * @param {TVspotter} spotter TVspotter instance to refresh
+     * @param {Object} options interval (ms, '6h' or cron expression like '0 6 * * *', default '6h'),
+     *                         maxDaysDifference (default 7), runOnStart (default false),
+     *                         clock (object with now, setTimeout and clearTimeout, default real time)
+     */
+    constructor (spotter, options={}) {
+        super()
+        this.spotter = spotter
+        this.interval = typeof options.interval === 'undefined' ? '6h' : options.interval
+        this.maxDaysDifference = typeof options.maxDaysDifference === 'undefined' ? 7 : options.maxDaysDifference
+        this.runOnStart = !!options.runOnStart
+        this.clock = options.clock || systemClock
+        this.planNext = createPlanner(this.interval)
+        this.timer = null
+        this.running = false
+        this.nextRun = null
+        this.lastSummary = null
+    }
+
+    /**
+     * Start scheduling refresh runs
+     */
+    start () {
+        if (this.timer !== null) return this
+        if (this.runOnStart) this.runNow()
+        this.scheduleNext()
+        return this
+    }
+
+    /**
+     * Stop scheduling, an already running refresh will still finish
+     */
+    stop () {
+        if (this.timer !== null) this.clock.clearTimeout(this.timer)
+        this.timer = null
+        this.nextRun = null
+        return this
+    }
+
+    /**
+     * Plan the next run based on the current time of the clock
+     */
+    scheduleNext () {
+        this.nextRun = this.planNext(this.clock.now())
+        this.armTimer()
+        this.emit('scheduled', this.nextRun)
+    }
+
+    /**
+     * Set the timer for the planned run, runs further away than setTimeout can wait are reached in several steps
+     */
+    armTimer () {
+        let delay = Math.max(0, this.nextRun - this.clock.now())
+        let isPartial = delay > maxTimeout
+        this.timer = this.clock.setTimeout(() => {
+            this.timer = null
+            if (isPartial) return this.armTimer()
+            this.runNow().then(() => {
+                // only continue if not stopped in the meantime
+                if (this.nextRun !== null) this.scheduleNext()
+            })
+        }, Math.min(delay, maxTimeout))
+    }
+
+    /**
+     * Run a refresh immediately, skipped if one is still in progress
+     * @returns {Promise<Object|null>} Summary of the run or null if skipped / failed
+     */
+    runNow () {
+        if (this.running) return Promise.resolve(null)
+        this.running = true
+
+        return this.spotter.refreshAll(this.maxDaysDifference).then(summary => {
+            this.running = false
+            this.lastSummary = summary
+            this.emit('refresh', summary)
+            return summary
+        }).catch(err => {
+            this.running = false
+            if (this.listenerCount('error')) this.emit('error', err)
+            return null
+        })
+    }
+}
+
+module.exports = Scheduler
@@ -0,0 +1,375 @@
+const http = require('http')
+const crypto = require('crypto')
+const { TMDbError } = require('./errors')
+
+class HttpError extends Error {
+    /**
+     * Error with an HTTP status code to answer with
+     * @param {Number} statusCode HTTP status code
+     * @param {string} message Error message
+     */
+    constructor (statusCode, message) {
+        super(message)
+        this.name = 'HttpError'
+        this.statusCode = statusCode
+    }
+}
+
+/**
+ * HTTP status codes of errors thrown by TVspotter (by their code), everything else is a 500
+ * TMDb failures are the fault of the upstream server, except for IDs that do not exist
+ */
+const errorStatusCodes = {
+    NO_RELEASE_REGION: 422,
+    UNKNOWN_USER: 404,
+    TMDB_NOT_FOUND: 404,
+    TMDB_RATE_LIMITED: 503,
+    TMDB_AUTH: 502,
+    TMDB_NETWORK: 502,
+    TMDB_MALFORMED: 502,
+    TMDB_ERROR: 502
+}
+
+/**
+ * Query parameters that are passed on to TMDb searches
+ */
+const searchOptions = ['year', 'first_air_date_year', 'region', 'include_adult', 'language']
+
+/**
+ * Query parameters that are passed on to TMDb discover, the lists are comma separated
+ */
+const discoverFilters = ['genres', 'networks', 'providers', 'region', 'releaseFrom', 'releaseTo', 'minVotes', 'minRating', 'sortBy']
+const discoverListFilters = ['genres', 'networks', 'providers']
+
+/**
+ * Query parameters of the watchlist, besides state (comma separated)
+ */
+const watchlistFilters = ['user', 'releaseFrom', 'releaseTo', 'withinDays', 'name', 'sortBy', 'order', 'limit', 'offset']
+
+/**
+ * Turn errors of invalid options into 400, errors with a status of their own (TMDb failures, unknown users) are passed on
+ * @param {*} err Error of the request
+ */
+function rejectInvalidOptions (err) {
+    if (err instanceof TMDbError || (err && errorStatusCodes[err.code])) throw err
+    throw new HttpError(400, err instanceof Error ? err.message : String(err))
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a First string
+ * @param {string} b Second string
+ */
+function safeEqual (a, b) {
+    let bufA = Buffer.from(String(a))
+    let bufB = Buffer.from(String(b))
+    if (bufA.length !== bufB.length) return false
+    return crypto.timingSafeEqual(bufA, bufB)
+}
+
+/**
+ * Read and parse the JSON body of a request, which has to be an object
+ * @param {http.IncomingMessage} req Request
+ */
+function readJsonBody (req) {
+    return new Promise((resolve, reject) => {
+        let chunks = []
+        let size = 0
+        let tooLarge = false
+        req.on('data', chunk => {
+            if (tooLarge) return
+            size += chunk.length
+            if (size > 1024 * 1024) {
+                // the rest is read and dropped, destroying the request would lose the answer as well
+                tooLarge = true
+                chunks = []
+                reject(new HttpError(413, 'Request body too large'))
+                return
+            }
+            chunks.push(chunk)
+        })
+        req.on('end', () => {
+            if (tooLarge) return
+            let raw = Buffer.concat(chunks).toString()
+            if (!raw) return resolve({})
+            let body = null
+            try {
+                body = JSON.parse(raw)
+            }
+            catch (err) {
+                return reject(new HttpError(400, 'Invalid JSON body'))
+            }
+            // the routes read their parameters from the body
+            if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                return reject(new HttpError(400, 'JSON body has to be an object'))
+            }
+            resolve(body)
+        })
+        req.on('error', reject)
+    })
+}
+
+/**
+ * Get a TMDb ID from a route parameter or body
+ * @param {*} value Raw value
+ */
+function parseId (value) {
+    let id = Number(value)
+    if (!Number.isInteger(id) || id <= 0) throw new HttpError(400, 'Invalid TMDb ID: ' + value)
+    return id
+}
+
+/**
+ * Get the mode (movie or tv) from a route parameter
+ * @param {string} value 'movie', 'movies' or 'tv'
+ */
+function parseMode (value) {
+    if (value === 'movie' || value === 'movies') return 'movie'
+    if (value === 'tv') return 'tv'
+    throw new HttpError(404, 'Unknown type: ' + value)
+}
+
+/**
+ * Get the result page from the query, TMDb serves pages 1 to 500
+ * @param {URLSearchParams} query Query of the request
+ */
+function parsePage (query) {
+    if (!query.has('page')) return 1
+    let page = Number(query.get('page'))
+    if (!Number.isInteger(page) || page < 1 || page > 500) throw new HttpError(400, 'Invalid page: ' + query.get('page'))
+    return page
+}
+
+class APIServer {
+    /**
+     * Local HTTP REST API around a TVspotter instance
+     * @param {TVspotter} spotter TVspotter instance to use
+     * @param {Object} options port (default 3000), host (default 127.0.0.1), token (optional, required as bearer token if set),
+     *                         maxDaysDifference (default 7) for checks
+     */
+    constructor (spotter, options={}) {
+        this.spotter = spotter
+        this.port = typeof options.port === 'undefined' ? 3000 : options.port
+        this.host = options.host || '127.0.0.1'
+        this.token = options.token || null
+        this.maxDaysDifference = typeof options.maxDaysDifference === 'undefined' ? 7 : options.maxDaysDifference
+        this.server = http.createServer((req, res) => this.handle(req, res))
+        this.routes = this.getRoutes()
+    }
+
+    /**
+     * Get the list of routes, each with method, path pattern and handler,
+     * optionally contentType (to send the result as is instead of JSON) and queryToken (to accept ?token=)
+     */
+    getRoutes () {
+        return [
+            { method: 'GET', path: /^\/search\/(movie|tv|multi)$/, handler: (match, query) => {
+                if (!query.get('query')) throw new HttpError(400, 'Missing query parameter "query"')
+                let options = {}
+                searchOptions.forEach(name => {
+                    if (query.has(name)) options[name] = query.get(name)
+                })
+                return this.spotter.search(match[1], query.get('query'), parsePage(query), options).catch(rejectInvalidOptions)
+            } },
+            { method: 'GET', path: /^\/tv\/on-the-air$/, handler: (match, query) => this.spotter.getTVOnTheAir(parsePage(query)) },
+            { method: 'GET', path: /^\/tv\/airing-today$/, handler: (match, query) => this.spotter.getTVAiringToday(parsePage(query)) },
+            { method: 'GET', path: /^\/movies\/upcoming$/, handler: (match, query) => this.spotter.getMovieUpcoming(parsePage(query)) },
+            { method: 'GET', path: /^\/discover\/(movie|tv)$/, handler: (match, query) => {
+                let filters = {}
+                discoverFilters.forEach(name => {
+                    if (!query.has(name)) return
+                    filters[name] = discoverListFilters.includes(name) ? query.get(name).split(',') : query.get(name)
+                })
+                return this.spotter.discover(match[1], filters, parsePage(query)).catch(rejectInvalidOptions)
+            } },
+            { method: 'GET', path: /^\/trending\/(all|movie|tv)$/, handler: (match, query) => {
+                return this.spotter.getTrending(match[1], query.get('window') || 'week', parsePage(query)).catch(rejectInvalidOptions)
+            } },
+            { method: 'GET', path: /^\/popular\/(movie|tv)$/, handler: (match, query) => {
+                return this.spotter.getPopular(match[1], parsePage(query))
+            } },
+            { method: 'GET', path: /^\/watchlist\/(movies|tv)$/, handler: (match, query) => {
+                let watchlistQuery = {}
+                watchlistFilters.forEach(name => {
+                    if (query.has(name)) watchlistQuery[name] = query.get(name)
+                })
+                if (query.has('state')) watchlistQuery.state = query.get('state').split(',')
+                // rowCount is the name of the limit in older versions
+                if (!query.has('limit') && query.has('rowCount')) watchlistQuery.limit = query.get('rowCount')
+                let read = parseMode(match[1]) === 'movie' ? this.spotter.readMovies(watchlistQuery) : this.spotter.readTV(watchlistQuery)
+                return read.catch(rejectInvalidOptions)
+            } },
+            { method: 'POST', path: /^\/watchlist\/(movies|tv)$/, handler: (match, query, body) => {
+                let days = this.getMaxDaysDifference(body.maxDaysDifference)
+                return this.spotter.track(parseId(body.id), parseMode(match[1]), days, body.user || undefined)
+            } },
+            { method: 'GET', path: /^\/watchlist\/(movies|tv)\/(\d+)$/, handler: (match, query) => {
+                let mode = parseMode(match[1])
+                let id = parseId(match[2])
+                return this.spotter.checkIfStored(id, mode, query.get('user') || undefined).then(isStored => {
+                    return isStored ? this.spotter.readStored(id, mode) : null
+                }).then(item => {
+                    if (!item) throw new HttpError(404, 'Not on the watchlist: ' + id)
+                    return item
+                })
+            } },
+            { method: 'DELETE', path: /^\/watchlist\/(movies|tv)\/(\d+)$/, handler: (match, query) => {
+                let mode = parseMode(match[1])
+                let id = parseId(match[2])
+                let user = query.get('user') || undefined
+                return this.spotter.checkIfStored(id, mode, user).then(isStored => {
+                    if (!isStored) throw new HttpError(404, 'Not on the watchlist: ' + id)
+                    return this.spotter.removeStored(id, mode, user)
+                }).then(removedEvents => ({ tmdbId: id, removed: true, removedEvents: removedEvents }))
+            } },
+            { method: 'GET', path: /^\/watchlist\/(movies|tv)\/(\d+)\/providers$/, handler: (match, query) => {
+                return this.spotter.readProviders(parseId(match[2]), parseMode(match[1]), query.get('region') || undefined)
+            } },
+            { method: 'GET', path: /^\/providers\/(movie|tv)$/, handler: (match, query) => {
+                return this.spotter.getWatchProviderList(match[1], query.get('region') || undefined)
+            } },
+            { method: 'POST', path: /^\/check\/(movies|tv)\/(\d+)$/, handler: (match, query, body) => {
+                return this.spotter.checkItem(parseId(match[2]), parseMode(match[1]), this.getMaxDaysDifference(body.maxDaysDifference))
+            } },
+            { method: 'GET', path: /^\/users$/, handler: () => this.spotter.listUsers() },
+            { method: 'POST', path: /^\/refresh$/, handler: (match, query, body) => {
+                return this.spotter.refreshAll(this.getMaxDaysDifference(body.maxDaysDifference))
+            } },
+            // calendar apps can not send headers, so the token may also be given as ?token=
+            { method: 'GET', path: /^\/calendar\.ics$/, contentType: 'text/calendar; charset=utf-8', queryToken: true, handler: (match, query) => {
+                return this.spotter.exportCalendar(query.get('user') || undefined)
+            } }
+        ]
+    }
+
+    /**
+     * Get the days left at which a release counts as close
+     * @param {*} value Value from the request, default of the server if not given
+     */
+    getMaxDaysDifference (value) {
+        if (typeof value === 'undefined' || value === null) return this.maxDaysDifference
+        let days = Number(value)
+        if (!Number.isInteger(days) || days < 0) throw new HttpError(400, 'Invalid maxDaysDifference: ' + value)
+        return days
+    }
+
+    /**
+     * Check the bearer token of a request
+     * @param {http.IncomingMessage} req Request
+     * @param {string} queryToken Token given in the URL, if the route allows it
+     */
+    isAuthorised (req, queryToken=null) {
+        if (!this.token) return true
+        if (queryToken) return safeEqual(queryToken, this.token)
+        let header = req.headers.authorization || ''
+        let match = /^Bearer\s+(.+)$/i.exec(header)
+        return match !== null && safeEqual(match[1], this.token)
+    }
+
+    /**
+     * Send a JSON response
+     * @param {http.ServerResponse} res Response
+     * @param {Number} statusCode HTTP status code
+     * @param {*} data Data to send
+     */
+    send (res, statusCode, data) {
+        let body = JSON.stringify(data)
+        res.writeHead(statusCode, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(body)
+        })
+        res.end(body)
+    }
+
+    /**
+     * Handle an incoming request
+     * @param {http.IncomingMessage} req Request
+     * @param {http.ServerResponse} res Response
+     */
+    handle (req, res) {
+        let url = new URL(req.url, 'http://localhost')
+        let candidates = this.routes.filter(route => route.path.test(url.pathname))
+        let route = candidates.filter(candidate => candidate.method === req.method)[0]
+
+        if (!this.isAuthorised(req, route && route.queryToken ? url.searchParams.get('token') : null)) {
+            res.setHeader('WWW-Authenticate', 'Bearer')
+            return this.send(res, 401, { error: 'Unauthorised' })
+        }
+
+        if (!candidates.length) return this.send(res, 404, { error: 'Not found' })
+        if (!route) {
+            res.setHeader('Allow', candidates.map(candidate => candidate.method).join(', '))
+            return this.send(res, 405, { error: 'Method not allowed' })
+        }
+
+        let body = req.method === 'GET' ? Promise.resolve({}) : readJsonBody(req)
+        body.then(data => {
+            return route.handler(route.path.exec(url.pathname), url.searchParams, data)
+        }).then(result => {
+            if (!route.contentType) return this.send(res, 200, result)
+            res.writeHead(200, {
+                'Content-Type': route.contentType,
+                'Content-Length': Buffer.byteLength(result)
+            })
+            res.end(result)
+        }).catch(err => {
+            let statusCode = err instanceof HttpError ? err.statusCode : 500
+            if (err && errorStatusCodes[err.code]) statusCode = errorStatusCodes[err.code]
+            if (err && err.retryAfter) res.setHeader('Retry-After', String(err.retryAfter))
+            // the connection ends after the answer instead of reading the rest of a body that is too large
+            if (statusCode === 413) res.setHeader('Connection', 'close')
+            let payload = { error: err instanceof Error ? err.message : String(err) }
+            if (err && err.code) payload.code = err.code
+            this.send(res, statusCode, payload)
+        })
+    }
+
+    /**
+     * Let an HTTP server listen
+     * @param {http.Server} server Server to start
+     * @param {Number} port Port, 0 for a random one
+     * @param {string} host Host to listen on
+     * @returns {Promise<Number>} Resolves with the port once the server listens
+     */
+    static listen (server, port, host) {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject)
+            server.listen(port, host, () => {
+                server.removeListener('error', reject)
+                resolve(server.address().port)
+            })
+        })
+    }
+
+    /**
+     * Stop an HTTP server from listening
+     * @param {http.Server} server Server to stop
+     * @returns {Promise} Resolves once all connections are closed
+     */
+    static close (server) {
+        return new Promise((resolve, reject) => {
+            server.close(err => err ? reject(err) : resolve())
+        })
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<APIServer>} Resolves once the server listens
+     */
+    start () {
+        return APIServer.listen(this.server, this.port, this.host).then(port => {
+            this.port = port
+            return this
+        })
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise} Resolves once all connections are closed
+     */
+    stop () {
+        return APIServer.close(this.server)
+    }
+}
+
+module.exports = APIServer
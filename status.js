@@ -0,0 +1,169 @@
+/**
+ * States a release can be in
+ */
+const states = {
+    ENDED: 'ended',
+    RELEASED: 'released',
+    CLOSE: 'close',
+    UPCOMING: 'upcoming',
+    UNKNOWN: 'unknown'
+}
+
+/**
+ * Movie release types as used by TMDb
+ */
+const movieReleaseTypes = [
+    { type: 1, name: 'premiere', label: 'Premiere' },
+    { type: 2, name: 'theatricalLimited', label: 'Limited theatrical release' },
+    { type: 3, name: 'theatrical', label: 'Theatrical release' },
+    { type: 4, name: 'digital', label: 'Digital release' },
+    { type: 5, name: 'physical', label: 'Physical release' },
+    { type: 6, name: 'tv', label: 'TV release' }
+]
+
+/**
+ * Release kind of TV shows
+ */
+const episodeKind = 'episode'
+
+/**
+ * Kind of the reminders that an item became available on a subscribed streaming service
+ */
+const availabilityKind = 'availability'
+
+/**
+ * Create a status object, the property order is fixed so serialisations can be compared
+ * @param {Object} data state (one of states), kind (movie release type name or 'episode'),
+ *                      daysRemaining (negative if already released) and date (YYYY-MM-DD)
+ */
+function createStatus (data) {
+    if (!Object.values(states).includes(data.state)) throw new Error('Invalid status state: ' + data.state)
+    return {
+        state: data.state,
+        kind: data.kind || null,
+        daysRemaining: typeof data.daysRemaining === 'number' ? data.daysRemaining : null,
+        date: data.date || null
+    }
+}
+
+/**
+ * Serialise a status for the database
+ * @param {Object} status Status object
+ */
+function serializeStatus (status) {
+    return JSON.stringify(createStatus(status))
+}
+
+/**
+ * Check if two statuses describe the same release, the days remaining change every day and are ignored
+ * @param {Object} a Status object
+ * @param {Object} b Status object
+ */
+function isSameRelease (a, b) {
+    return a.state === b.state && a.kind === b.kind && a.date === b.date
+}
+
+/**
+ * Movie release kinds of the old integer scheme, which only knew the theatrical and the digitalPhysical date column,
+ * the latter held the physical release date, or the digital one if there was no physical release
+ */
+const legacyMovieKinds = { 1: 'theatrical', 2: 'physical' }
+
+/**
+ * Decode a status code of the old integer scheme
+ * tv: -1 unknown, 0 ended, 10 released, 20x close, 30x none |
+ * movie: 1c released, 2cx close, 3cx none (c = date column, 1 theatrical, 2 digitalPhysical) |
+ * (x = days remaining)
+ * @param {string} mode movie or tv
+ * @param {Number|string} code Integer status code
+ * @param {string} date Release date belonging to the status, if known
+ */
+function decodeLegacyStatus (mode, code, date=null) {
+    let digits = code.toString()
+    if (digits === '-1') return createStatus({ state: states.UNKNOWN, kind: mode === 'tv' ? episodeKind : null })
+
+    let legacyStates = { 1: states.RELEASED, 2: states.CLOSE, 3: states.UPCOMING }
+    let daysRemaining = digits.length > 2 ? Number(digits.substring(2)) : null
+
+    if (mode === 'tv') {
+        if (digits === '0') return createStatus({ state: states.ENDED, kind: episodeKind })
+        if (legacyStates[digits[0]] && digits[1] === '0') {
+            return createStatus({ state: legacyStates[digits[0]], kind: episodeKind, daysRemaining: daysRemaining, date: date })
+        }
+    }
+    else if (mode === 'movie') {
+        let kind = legacyMovieKinds[digits[1]]
+        if (legacyStates[digits[0]] && kind) {
+            return createStatus({ state: legacyStates[digits[0]], kind: kind, daysRemaining: daysRemaining, date: date })
+        }
+    }
+    return createStatus({ state: states.UNKNOWN })
+}
+
+/**
+ * Check if a stored status still uses the old integer scheme
+ * @param {*} value Stored status
+ */
+function isLegacyStatus (value) {
+    return typeof value === 'number' || (typeof value === 'string' && /^-?\d+$/.test(value))
+}
+
+/**
+ * Turn a stored status back into a status object
+ * @param {Object|string|Number} value Serialised status, a status object or an old integer code
+ * @param {string} mode movie or tv, only needed for old integer codes
+ */
+function decodeStatus (value, mode) {
+    if (value === null || typeof value === 'undefined' || value === '') return createStatus({ state: states.UNKNOWN })
+    if (isLegacyStatus(value)) return decodeLegacyStatus(mode, value)
+    if (typeof value === 'string') value = JSON.parse(value)
+    return createStatus(value)
+}
+
+/**
+ * Get the label of a release kind, e. g. 'Theatrical release'
+ * @param {string} kind Movie release type name or 'episode'
+ */
+function getKindLabel (kind) {
+    if (kind === episodeKind) return 'Episode'
+    if (kind === availabilityKind) return 'Availability'
+    let releaseType = movieReleaseTypes.find(type => type.name === kind)
+    return releaseType ? releaseType.label : 'Release'
+}
+
+/**
+ * Describe a status in words, e. g. 'Theatrical release in 3 days'
+ * @param {Object} status Status object
+ */
+function describeStatus (status) {
+    let label = getKindLabel(status.kind)
+    switch (status.state) {
+        case states.ENDED:
+            return 'Ended'
+        case states.RELEASED:
+            if (status.kind === availabilityKind) return 'Available'
+            return label + ' released'
+        case states.CLOSE:
+        case states.UPCOMING:
+            if (status.daysRemaining === 0) return label + ' today'
+            if (status.daysRemaining === 1) return label + ' tomorrow'
+            return label + ' in ' + status.daysRemaining + ' days'
+        default:
+            return 'Unknown'
+    }
+}
+
+module.exports = {
+    states,
+    movieReleaseTypes,
+    episodeKind,
+    availabilityKind,
+    createStatus,
+    serializeStatus,
+    isSameRelease,
+    decodeStatus,
+    decodeLegacyStatus,
+    isLegacyStatus,
+    getKindLabel,
+    describeStatus
+}
@@ -0,0 +1,99 @@
+/**
+ * Default templates of the calendar events, placeholders are written as {name}
+ * Lines whose placeholders are all empty are left out, so missing data does not leave empty labels behind
+ * movie: title, originalTitle, release (label of the release type), date, certification, provider, runtime, overview, url
+ * episode: show, episode (like S01E01), episodeTitle, season, episodeNumber, date, network, runtime, overview, url
+ * availability: title, provider, offer (like Subscription), region, date (first seen), overview, link (TMDb watch page), url
+ */
+const defaultTemplates = {
+    movie: {
+        summary: '{title} ({release})',
+        description: [
+            '{release} on {date}',
+            'Original title: {originalTitle}',
+            'Certification: {certification}',
+            'Available on: {provider}',
+            'Runtime: {runtime}',
+            '',
+            '{overview}',
+            '',
+            '{url}'
+        ].join('\n')
+    },
+    episode: {
+        summary: '{show} [{episode}]',
+        description: [
+            '{episodeTitle}',
+            'Season {season}, episode {episodeNumber}',
+            'Network: {network}',
+            'Runtime: {runtime}',
+            '',
+            '{overview}',
+            '',
+            '{url}'
+        ].join('\n')
+    },
+    availability: {
+        summary: '{title} on {provider}',
+        description: [
+            'Available on {provider} ({offer}) in {region} since {date}',
+            '',
+            '{overview}',
+            '',
+            'Where to watch: {link}',
+            '{url}'
+        ].join('\n')
+    }
+}
+
+/**
+ * Fill in the placeholders of a template
+ * @param {string} template Template with placeholders like {title}
+ * @param {Object} values Values of the placeholders, unknown placeholders count as empty
+ */
+function renderTemplate (template, values) {
+    let lines = template.split('\n').map(line => {
+        let placeholders = 0
+        let filled = 0
+        let text = line.replace(/\{(\w+)\}/g, (match, name) => {
+            placeholders++
+            let value = values[name]
+            if (value === null || typeof value === 'undefined' || value === '') return ''
+            filled++
+            return String(value)
+        })
+        return placeholders && !filled ? null : text
+    }).filter(line => line !== null)
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()
+}
+
+/**
+ * Format a runtime, e. g. 1 h 52 min
+ * @param {Number} minutes Runtime in minutes
+ */
+function formatRuntime (minutes) {
+    if (!minutes) return ''
+    let hours = Math.floor(minutes / 60)
+    let rest = minutes % 60
+    if (!hours) return rest + ' min'
+    return hours + ' h' + (rest ? ' ' + rest + ' min' : '')
+}
+
+/**
+ * Merge custom templates into the default ones
+ * @param {Object} templates movie, episode and / or availability, each with summary and / or description
+ */
+function mergeTemplates (templates={}) {
+    let merged = {}
+    Object.keys(defaultTemplates).forEach(kind => {
+        merged[kind] = Object.assign({}, defaultTemplates[kind], templates[kind])
+    })
+    return merged
+}
+
+module.exports = {
+    defaultTemplates,
+    renderTemplate,
+    formatRuntime,
+    mergeTemplates
+}
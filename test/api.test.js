@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const TMDb = require('../api')
+const { FakeTMDbServer } = require('./helpers/fakeTmdb')
+const { TMDbNetworkError, TMDbNotFoundError, TMDbAuthError } = require('../errors')
+
+/**
+ * Response like the one of node-fetch
+ * @param {Number} status HTTP status
+ * @param {Object} body JSON body
+ */
+function createResponse (status, body) {
+    return {
+        status: status,
+        ok: status >= 200 && status < 300,
+        headers: { get: () => null },
+        text: () => Promise.resolve(JSON.stringify(body))
+    }
+}
+
+/**
+ * TMDb client without cache, retry delays or rate limit, answering with the given fetch
+ * @param {Function} fetch fetch implementation
+ */
+function createApi (fetch) {
+    return new TMDb('secret-key', 'en-US', { cache: false, retryDelay: 0, rateLimit: { maxRequests: 1000, interval: 1 }, fetch: fetch })
+}
+
+describe('TMDb', () => {
+    it('builds encoded URLs with key and language', () => {
+        let url = new URL(createApi(null).buildUrl('search/movie', { query: 'Fast & Furious', page: 2, year: undefined }))
+        assert.strictEqual(url.searchParams.get('query'), 'Fast & Furious')
+        assert.strictEqual(url.searchParams.get('api_key'), 'secret-key')
+        assert.strictEqual(url.searchParams.has('year'), false)
+    })
+
+    it('does not leak the API key in network errors', async () => {
+        let api = createApi(url => Promise.reject(new Error('request to ' + url + ' failed, reason: getaddrinfo ENOTFOUND')))
+        let err = await api.getMovieDetails(550).catch(err => err)
+        assert.ok(err instanceof TMDbNetworkError)
+        assert.ok(!err.message.includes('secret-key'), err.message)
+        assert.ok(!err.url.includes('secret-key'))
+        assert.match(err.message, /api_key=\*\*\*/)
+    })
+
+    it('retries server errors and maps the final status to typed errors', async () => {
+        let calls = 0
+        let api = createApi(() => {
+            calls++
+            return Promise.resolve(calls < 3 ? createResponse(503, {}) : createResponse(404, { status_code: 34 }))
+        })
+        let err = await api.getMovieDetails(550).catch(err => err)
+        assert.strictEqual(calls, 3)
+        assert.ok(err instanceof TMDbNotFoundError)
+        assert.strictEqual(err.status, 404)
+
+        api = createApi(() => Promise.resolve(createResponse(401, { status_code: 7 })))
+        assert.ok(await api.getMovieDetails(550).catch(err => err) instanceof TMDbAuthError)
+    })
+})
+
+describe('TMDb against the fake server', () => {
+    let fake = null
+    let cacheDir = null
+    before(() => Promise.all([
+        new FakeTMDbServer({ apiKey: 'test-key' }).start(),
+        fs.promises.mkdtemp(path.join(os.tmpdir(), 'tvspotter-api-'))
+    ]).then(([started, dir]) => {
+        fake = started
+        cacheDir = dir
+    }))
+    after(() => Promise.all([fake.stop(), fs.promises.rm(cacheDir, { recursive: true, force: true })]))
+
+    /**
+     * TMDb client of the fake server
+     * @param {Object} options Further options of TMDb
+     */
+    let createFakeApi = (options={}) => new TMDb('test-key', 'en-US', Object.assign({
+        baseUri: fake.getBaseUri(),
+        cache: false,
+        retryDelay: 0
+    }, options))
+
+    it('reads fixtures and maps missing items and wrong keys to typed errors', async () => {
+        let api = createFakeApi()
+        assert.strictEqual((await api.getMovieDetails(1001)).title, 'Fixture Movie')
+        let result = await api.search('multi', 'fixture')
+        assert.ok(result.results.some(item => item.media_type === 'tv'))
+        await assert.rejects(api.getMovieDetails(999999), TMDbNotFoundError)
+        await assert.rejects(new TMDb('wrong-key', 'en-US', { baseUri: fake.getBaseUri(), cache: false }).getMovieDetails(1001), TMDbAuthError)
+    })
+
+    it('retries requests the server failed', async () => {
+        fake.failNext(503, 2)
+        assert.strictEqual((await createFakeApi().getTVShowDetails(2001)).id, 2001)
+    })
+
+    it('revalidates expired cache entries with their ETag', async () => {
+        let api = createFakeApi({ cache: cacheDir, ttl: { details: 1 } })
+        await api.getMovieDetails(1001)
+        await new Promise(resolve => setTimeout(resolve, 5))
+        fake.requests = []
+        assert.strictEqual((await api.getMovieDetails(1001)).id, 1001)
+        assert.strictEqual(fake.requests.length, 1)
+    })
+})
@@ -0,0 +1,66 @@
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const ResponseCache = require('../cache')
+
+describe('ResponseCache', () => {
+    let dir = null
+    beforeEach(() => fs.promises.mkdtemp(path.join(os.tmpdir(), 'tvspotter-cache-')).then(created => {
+        dir = created
+    }))
+    afterEach(() => fs.promises.rm(dir, { recursive: true, force: true }))
+
+    /**
+     * Pretend a cached response was last written some time ago
+     * @param {ResponseCache} cache Cache of the entry
+     * @param {string} url Cached URL
+     * @param {Number} ms Milliseconds since the write
+     */
+    let age = (cache, url, ms) => {
+        let time = new Date(Date.now() - ms)
+        return fs.promises.utimes(cache.getFile(url), time, time)
+    }
+
+    it('stores responses without the API key in the file name', async () => {
+        let cache = new ResponseCache(dir)
+        let entry = { body: { id: 550 }, etag: '"a"', expiresAt: Date.now() + 1000 }
+        await cache.set('https://api/movie/550?api_key=secret', entry)
+        assert.deepStrictEqual(await cache.get('https://api/movie/550?api_key=secret'), entry)
+        assert.strictEqual(await cache.get('https://api/movie/551?api_key=secret'), null)
+        assert.ok((await fs.promises.readdir(dir)).every(file => !file.includes('secret')))
+    })
+
+    it('clears expired entries that can not be revalidated', async () => {
+        let cache = new ResponseCache(dir)
+        await cache.set('fresh', { body: 1, etag: null, expiresAt: Date.now() + 1000 })
+        await cache.set('revalidate', { body: 2, etag: '"b"', expiresAt: 0 })
+        await cache.set('expired', { body: 3, etag: null, expiresAt: 0 })
+        assert.strictEqual(await cache.clear(true), 1)
+        assert.strictEqual(await cache.get('expired'), null)
+        assert.strictEqual(await cache.clear(), 2)
+    })
+
+    it('prunes old entries and the oldest beyond the limit', async () => {
+        let cache = new ResponseCache(dir, { maxEntries: 2, maxAge: 60 * 1000 })
+        for (let url of ['a', 'b', 'c', 'd']) await cache.set(url, { body: url, etag: '"' + url + '"', expiresAt: 0 })
+        await age(cache, 'a', 2 * 60 * 1000)
+        await age(cache, 'b', 30 * 1000)
+        await age(cache, 'c', 20 * 1000)
+
+        assert.strictEqual(await cache.prune(), 2)
+        assert.strictEqual(await cache.get('a'), null)
+        assert.strictEqual(await cache.get('b'), null)
+        assert.strictEqual((await cache.get('c')).body, 'c')
+        assert.strictEqual((await cache.get('d')).body, 'd')
+    })
+
+    it('prunes on the first write', async () => {
+        await new ResponseCache(dir).set('old', { body: 1, etag: '"a"', expiresAt: 0 })
+        let cache = new ResponseCache(dir, { maxAge: 60 * 1000 })
+        await age(cache, 'old', 2 * 60 * 1000)
+        await cache.set('new', { body: 2, etag: null, expiresAt: 0 })
+        assert.strictEqual(await cache.get('old'), null)
+    })
+})
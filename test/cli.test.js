@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { execFile } = require('child_process')
+const { FakeTMDbServer } = require('./helpers/fakeTmdb')
+
+const cliPath = path.join(__dirname, '..', 'bin', 'tvspotter.js')
+const setupPath = path.join(__dirname, 'helpers', 'cliSetup.js')
+
+describe('tvspotter CLI', () => {
+    let fake = null
+    let dir = null
+    let configPath = null
+    before(() => new FakeTMDbServer().start().then(started => {
+        fake = started
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tvspotter-cli-'))
+        configPath = path.join(dir, 'config.json')
+        fs.writeFileSync(configPath, JSON.stringify({
+            apiKey: 'test-key',
+            tmdbBaseUri: fake.getBaseUri(),
+            cache: false,
+            retries: 0,
+            dbPath: path.join(dir, 'tvspotter.db')
+        }))
+    }))
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true })
+        return fake.stop()
+    })
+
+    /**
+     * Run the CLI on the fake TMDb server and an in-memory database
+     * @param {Array<string>} args Arguments of the CLI
+     * @returns {Promise<Object>} code (exit code), stdout and stderr
+     */
+    let run = args => new Promise(resolve => {
+        let env = Object.assign({}, process.env)
+        // the settings of the environment would override the config file
+        Object.keys(env).filter(name => name.startsWith('TVSPOTTER_')).forEach(name => delete env[name])
+        env.TVSPOTTER_CONFIG = configPath
+        execFile(process.execPath, ['-r', setupPath, cliPath].concat(args), { env: env, timeout: 30000 }, (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stdout: stdout, stderr: stderr })
+        })
+    })
+
+    it('prints the usage', async () => {
+        for (let args of [[], ['--help'], ['help']]) {
+            let res = await run(args)
+            assert.strictEqual(res.code, 0, args.join(' '))
+            assert.match(res.stdout, /^Usage: tvspotter <command> \[options\]/)
+            assert.strictEqual(res.stderr, '')
+        }
+    })
+
+    it('exits with 2 on wrong usage', async () => {
+        let cases = [
+            [['list', '--colour'], 'Unknown option --colour'],
+            [['list', '--days'], 'Missing value for --days'],
+            [['watch', 'movie', '1'], 'Unknown command: watch'],
+            [['add', 'film', '1001'], 'Type must be "movie" or "tv"'],
+            [['add', 'movie', 'abc'], 'ID must be a positive number'],
+            [['list', '--sort', 'rating'], '--sort must be added, name or release'],
+            [['list', '--config', path.join(os.tmpdir(), 'missing-tvspotter.json')], 'Config file not found: ']
+        ]
+        for (let [args, message] of cases) {
+            let res = await run(args)
+            assert.strictEqual(res.code, 2, args.join(' '))
+            assert.ok(res.stderr.startsWith('Error: ' + message), res.stderr)
+            assert.match(res.stderr, /\nUsage: tvspotter/)
+            assert.strictEqual(res.stdout, '')
+        }
+    })
+
+    it('exits with 1 if a command fails', async () => {
+        let res = await run(['check', 'movie', '9999'])
+        assert.strictEqual(res.code, 1)
+        assert.match(res.stderr, /^Error: .+\n$/)
+        assert.doesNotMatch(res.stderr, /Usage:/)
+    })
+
+    it('prints the result of a command', async () => {
+        let res = await run(['check', 'tv', '2001'])
+        assert.strictEqual(res.code, 0, res.stderr)
+        let lines = res.stdout.trimEnd().split('\n')
+        assert.match(lines[0], /^ID\s+Type\s+Name\s+Release\s+Status$/)
+        assert.match(lines[2], /^2001\s+tv\s+Fixture Show\s+S02E02 \d{4}-\d{2}-\d{2}/)
+
+        res = await run(['add', 'movie', '1001', '--days', '5', '--json'])
+        assert.strictEqual(res.code, 0, res.stderr)
+        let result = JSON.parse(res.stdout)
+        assert.strictEqual(result.tmdbId, 1001)
+        assert.strictEqual(result.name, 'Fixture Movie')
+        assert.strictEqual(result.status.state, 'close')
+
+        res = await run(['users', '--json'])
+        assert.deepStrictEqual(JSON.parse(res.stdout), [{ name: 'default', calendar: null, notifiers: [] }])
+    })
+})
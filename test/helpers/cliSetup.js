@@ -0,0 +1,9 @@
+/**
+ * Preloaded into bin/tvspotter.js by the CLI tests (node -r), lets TVspotter run on an in-memory database
+ * as the config file can not hold the database classes, everything else comes from the config file
+ */
+const TVspotter = require('../../index')
+const { createSqlDb } = require('./sqlDb')
+
+const create = TVspotter.create
+TVspotter.create = (options={}) => createSqlDb().then(db => create(Object.assign({ db: db }, options)))
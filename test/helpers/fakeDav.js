@@ -0,0 +1,60 @@
+/**
+ * Stand-in of DAVClient that keeps the events of one calendar in memory
+ */
+class FakeDavClient {
+    /**
+     * @param {Object} options name of the calendar (default 'TVspotter'), failing (true => the calendar can not be set up)
+     */
+    constructor (options={}) {
+        this.calendar = { displayName: options.name || 'TVspotter', objects: [] }
+        this.failing = !!options.failing
+    }
+
+    /**
+     * Events of the calendar
+     * @returns {Array<Object>} uid, summary, description, start and end of each event
+     */
+    getEvents () {
+        return this.calendar.objects.map(obj => obj.event)
+    }
+
+    ensureCalendar () {
+        if (this.failing) return Promise.reject(new Error('Could not load CalDAV account from http://dav.invalid: ECONNREFUSED'))
+        return Promise.resolve(this.calendar)
+    }
+
+    syncCalendar (calendar) {
+        return Promise.resolve(calendar)
+    }
+
+    findEvent (calendar, uid) {
+        return calendar.objects.filter(obj => obj.event.uid === uid)[0]
+    }
+
+    checkIfEventExists (calendar, data) {
+        return calendar.objects.some(obj => obj.event.summary === data.summary && obj.event.start === data.start)
+    }
+
+    createEvent (calendar, data) {
+        calendar.objects.push({ event: Object.assign({}, data) })
+        return Promise.resolve({ request: { status: 201 } })
+    }
+
+    updateEvent (calendar, uid, data) {
+        let obj = this.findEvent(calendar, uid)
+        if (!obj) return this.createEvent(calendar, Object.assign({}, data, { uid: uid }))
+        obj.event = Object.assign({ uid: uid }, data)
+        return Promise.resolve({ request: { status: 204 } })
+    }
+
+    deleteEvent (calendar, uid) {
+        let obj = this.findEvent(calendar, uid)
+        if (!obj) return Promise.resolve(false)
+        calendar.objects = calendar.objects.filter(other => other !== obj)
+        return Promise.resolve(true)
+    }
+}
+
+module.exports = {
+    FakeDavClient
+}
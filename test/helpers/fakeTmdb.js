@@ -0,0 +1,353 @@
+const http = require('http')
+const crypto = require('crypto')
+const APIServer = require('../../server')
+
+/**
+ * Get a date relative to today
+ * @param {Number} days Days to add (negative for the past)
+ * @returns {string} Date in YYYY-MM-DD
+ */
+function daysFromNow (days) {
+    let date = new Date()
+    date.setUTCDate(date.getUTCDate() + days)
+    return date.toISOString().split('T')[0]
+}
+
+/**
+ * Create a TMDb episode
+ * @param {Number} season Season number
+ * @param {Number} episode Episode number
+ * @param {string} airDate Date in YYYY-MM-DD
+ * @param {string} name Episode title
+ */
+function createEpisode (season, episode, airDate, name) {
+    return {
+        season_number: season,
+        episode_number: episode,
+        air_date: airDate,
+        name: name,
+        overview: 'Overview of ' + name,
+        runtime: 50,
+        episode_type: 'standard'
+    }
+}
+
+/**
+ * Fixtures used if none are given, all dates are relative to today:
+ * a movie with a close theatrical release and a later digital one, a running show with the next episode in 2 days
+ * that streams on Netflix in the US and an ended show
+ */
+function createDefaultFixtures () {
+    let episodes = [
+        createEpisode(2, 1, daysFromNow(-5), 'The Return'),
+        createEpisode(2, 2, daysFromNow(2), 'The Journey'),
+        createEpisode(2, 3, daysFromNow(9), 'The Arrival')
+    ]
+    return {
+        movies: {
+            1001: {
+                details: {
+                    id: 1001,
+                    title: 'Fixture Movie',
+                    original_title: 'Fixture Movie',
+                    release_date: daysFromNow(3),
+                    overview: 'A movie that only exists in tests.',
+                    runtime: 118,
+                    poster_path: '/fixture-movie.jpg',
+                    backdrop_path: '/fixture-movie-backdrop.jpg'
+                },
+                releases: [
+                    {
+                        iso_3166_1: 'US',
+                        release_dates: [
+                            { type: 3, release_date: daysFromNow(3) + 'T00:00:00.000Z', certification: 'PG-13', note: '' },
+                            { type: 4, release_date: daysFromNow(30) + 'T00:00:00.000Z', certification: 'PG-13', note: 'Netflix' }
+                        ]
+                    }
+                ],
+                providers: {}
+            }
+        },
+        tv: {
+            2001: {
+                details: {
+                    id: 2001,
+                    name: 'Fixture Show',
+                    original_name: 'Fixture Show',
+                    first_air_date: daysFromNow(-400),
+                    overview: 'A show that only exists in tests.',
+                    in_production: true,
+                    networks: [{ id: 1, name: 'Fixture Network' }],
+                    episode_run_time: [50],
+                    seasons: [{ season_number: 1 }, { season_number: 2 }],
+                    last_episode_to_air: episodes[0],
+                    next_episode_to_air: episodes[1],
+                    poster_path: '/fixture-show.jpg',
+                    backdrop_path: null
+                },
+                seasons: {
+                    1: { season_number: 1, episodes: [createEpisode(1, 1, daysFromNow(-400), 'Pilot')] },
+                    2: { season_number: 2, episodes: episodes }
+                },
+                providers: {
+                    US: {
+                        link: 'https://www.themoviedb.org/tv/2001/watch?locale=US',
+                        flatrate: [{ provider_id: 8, provider_name: 'Netflix', logo_path: '/netflix.jpg', display_priority: 1 }],
+                        buy: [{ provider_id: 2, provider_name: 'Apple TV', logo_path: '/apple.jpg', display_priority: 2 }]
+                    }
+                }
+            },
+            2002: {
+                details: {
+                    id: 2002,
+                    name: 'Ended Fixture Show',
+                    original_name: 'Ended Fixture Show',
+                    first_air_date: daysFromNow(-2000),
+                    overview: 'A show that ended long ago.',
+                    in_production: false,
+                    networks: [],
+                    episode_run_time: [],
+                    seasons: [{ season_number: 1 }],
+                    last_episode_to_air: null,
+                    next_episode_to_air: null,
+                    poster_path: null,
+                    backdrop_path: null
+                },
+                seasons: {},
+                providers: {}
+            }
+        }
+    }
+}
+
+/**
+ * Watch providers known to the fake server, listed by /watch/providers/(movie|tv)
+ */
+const providerList = [
+    { provider_id: 2, provider_name: 'Apple TV', logo_path: '/apple.jpg', display_priority: 2 },
+    { provider_id: 8, provider_name: 'Netflix', logo_path: '/netflix.jpg', display_priority: 1 },
+    { provider_id: 337, provider_name: 'Disney Plus', logo_path: '/disney.jpg', display_priority: 3 }
+]
+
+class FakeTMDbServer {
+    /**
+     * Local stand-in of the TMDb API for offline tests, answers from fixtures like TMDb would
+     * (including 401 for a wrong API key, 404 with TMDb's error body and ETags)
+     * @param {Object} options apiKey (default 'test-key'), port (default random), fixtures ({ movies, tv }, default see
+     *                         createDefaultFixtures, movies keyed by ID with details, releases and providers,
+     *                         tv with details, seasons and providers)
+     */
+    constructor (options={}) {
+        this.apiKey = options.apiKey || 'test-key'
+        this.port = options.port || 0
+        this.host = '127.0.0.1'
+        this.fixtures = options.fixtures || createDefaultFixtures()
+        this.requests = []
+        this.failures = []
+        this.server = http.createServer((req, res) => this.handle(req, res))
+        this.routes = this.getRoutes()
+    }
+
+    /**
+     * Get the URL to use as baseUri of TMDb / tmdbBaseUri of TVspotter
+     */
+    getBaseUri () {
+        return 'http://' + this.host + ':' + this.port + '/3/'
+    }
+
+    /**
+     * Add or replace a movie
+     * @param {Object} details Movie details as sent by TMDb (needs id)
+     * @param {Array<Object>} releases Release dates per region (results of /movie/{id}/release_dates)
+     * @param {Object} providers Watch providers keyed by region (results of /movie/{id}/watch/providers)
+     */
+    addMovie (details, releases=[], providers={}) {
+        this.fixtures.movies[details.id] = { details: details, releases: releases, providers: providers }
+    }
+
+    /**
+     * Change the watch providers of a movie or show, e. g. to let it become available on a service
+     * @param {string} mode movie or tv
+     * @param {Number} id TMDb ID of an added item
+     * @param {Object} providers Watch providers keyed by region, each with link and lists per offer type
+     */
+    setProviders (mode, id, providers) {
+        let items = mode === 'movie' ? this.fixtures.movies : this.fixtures.tv
+        if (!items[id]) throw new Error('Unknown ' + mode + ': ' + id)
+        items[id].providers = providers
+    }
+
+    /**
+     * Answer the next requests with an error, e. g. to test retries
+     * @param {Number} status HTTP status, e. g. 429 or 503
+     * @param {Number} times Number of requests to fail
+     */
+    failNext (status, times=1) {
+        for (let i = 0; i < times; i++) this.failures.push(status)
+    }
+
+    /**
+     * Get the list of routes, each with path pattern and handler returning the response body (null for 404)
+     */
+    getRoutes () {
+        let movies = () => Object.values(this.fixtures.movies).map(movie => movie.details)
+        let shows = () => Object.values(this.fixtures.tv).map(show => show.details)
+        let today = daysFromNow(0)
+
+        return [
+            { path: /^\/3\/search\/(movie|tv|multi)$/, handler: (match, query) => {
+                let term = (query.get('query') || '').toLowerCase()
+                let items = []
+                if (match[1] !== 'tv') items = items.concat(movies().map(movie => Object.assign({ media_type: 'movie' }, movie)))
+                if (match[1] !== 'movie') items = items.concat(shows().map(show => Object.assign({ media_type: 'tv' }, show)))
+                if (match[1] !== 'multi') items = items.map(item => Object.assign({}, item, { media_type: undefined }))
+
+                let year = query.get('year') || query.get('first_air_date_year')
+                return this.paginate(items.filter(item => {
+                    let date = item.release_date || item.first_air_date || ''
+                    return (item.title || item.name).toLowerCase().includes(term) && (!year || date.startsWith(year))
+                }), query)
+            } },
+            { path: /^\/3\/movie\/upcoming$/, handler: (match, query) => {
+                return this.paginate(movies().filter(movie => movie.release_date >= today), query)
+            } },
+            { path: /^\/3\/tv\/on_the_air$/, handler: (match, query) => {
+                return this.paginate(shows().filter(show => show.next_episode_to_air && show.next_episode_to_air.air_date <= daysFromNow(7)), query)
+            } },
+            { path: /^\/3\/tv\/airing_today$/, handler: (match, query) => {
+                return this.paginate(shows().filter(show => show.next_episode_to_air && show.next_episode_to_air.air_date === today), query)
+            } },
+            { path: /^\/3\/discover\/(movie|tv)$/, handler: (match, query) => {
+                let items = match[1] === 'movie' ? movies() : shows()
+                let from = query.get('primary_release_date.gte') || query.get('first_air_date.gte')
+                let to = query.get('primary_release_date.lte') || query.get('first_air_date.lte')
+                let networks = query.get('with_networks')
+                return this.paginate(items.filter(item => {
+                    let date = item.release_date || item.first_air_date || ''
+                    let networkIds = (item.networks || []).map(network => String(network.id))
+                    return (!from || date >= from) && (!to || date <= to) &&
+                           (!networks || networks.split('|').some(id => networkIds.includes(id)))
+                }), query)
+            } },
+            { path: /^\/3\/trending\/(all|movie|tv)\/(day|week)$/, handler: (match, query) => {
+                let items = []
+                if (match[1] !== 'tv') items = items.concat(movies().map(movie => Object.assign({ media_type: 'movie' }, movie)))
+                if (match[1] !== 'movie') items = items.concat(shows().map(show => Object.assign({ media_type: 'tv' }, show)))
+                return this.paginate(items, query)
+            } },
+            { path: /^\/3\/(movie|tv)\/popular$/, handler: (match, query) => {
+                return this.paginate(match[1] === 'movie' ? movies() : shows(), query)
+            } },
+            { path: /^\/3\/movie\/(\d+)$/, handler: match => {
+                let movie = this.fixtures.movies[match[1]]
+                return movie ? movie.details : null
+            } },
+            { path: /^\/3\/movie\/(\d+)\/release_dates$/, handler: match => {
+                let movie = this.fixtures.movies[match[1]]
+                return movie ? { id: Number(match[1]), results: movie.releases } : null
+            } },
+            { path: /^\/3\/tv\/(\d+)$/, handler: match => {
+                let show = this.fixtures.tv[match[1]]
+                return show ? show.details : null
+            } },
+            { path: /^\/3\/(movie|tv)\/(\d+)\/watch\/providers$/, handler: match => {
+                let item = this.fixtures[match[1] === 'movie' ? 'movies' : 'tv'][match[2]]
+                return item ? { id: Number(match[2]), results: item.providers || {} } : null
+            } },
+            { path: /^\/3\/watch\/providers\/(movie|tv)$/, handler: () => ({ results: providerList }) },
+            { path: /^\/3\/tv\/(\d+)\/season\/(\d+)$/, handler: match => {
+                let show = this.fixtures.tv[match[1]]
+                return show && show.seasons[match[2]] ? show.seasons[match[2]] : null
+            } }
+        ]
+    }
+
+    /**
+     * Build a result page like TMDb, 20 results per page
+     * @param {Array<Object>} items All results
+     * @param {URLSearchParams} query Query of the request (page)
+     */
+    paginate (items, query) {
+        let page = Math.max(1, Number(query.get('page')) || 1)
+        return {
+            page: page,
+            results: items.slice((page - 1) * 20, page * 20),
+            total_pages: Math.max(1, Math.ceil(items.length / 20)),
+            total_results: items.length
+        }
+    }
+
+    /**
+     * Send a JSON response with an ETag, or 304 if the client has the same version
+     * @param {http.IncomingMessage} req Request
+     * @param {http.ServerResponse} res Response
+     * @param {Number} statusCode HTTP status code
+     * @param {Object} data Data to send
+     */
+    send (req, res, statusCode, data) {
+        let body = JSON.stringify(data)
+        let etag = '"' + crypto.createHash('sha1').update(body).digest('hex') + '"'
+        if (statusCode === 200 && req.headers['if-none-match'] === etag) {
+            res.writeHead(304, { 'ETag': etag })
+            return res.end()
+        }
+        let headers = {
+            'Content-Type': 'application/json;charset=utf-8',
+            'Content-Length': Buffer.byteLength(body)
+        }
+        if (statusCode === 200) headers['ETag'] = etag
+        if (statusCode === 429) headers['Retry-After'] = '1'
+        res.writeHead(statusCode, headers)
+        res.end(body)
+    }
+
+    /**
+     * Handle an incoming request
+     * @param {http.IncomingMessage} req Request
+     * @param {http.ServerResponse} res Response
+     */
+    handle (req, res) {
+        let url = new URL(req.url, 'http://localhost')
+        this.requests.push({ method: req.method, path: url.pathname, query: url.searchParams })
+
+        if (this.failures.length) {
+            let status = this.failures.shift()
+            return this.send(req, res, status, { success: false, status_code: 25, status_message: 'Simulated failure.' })
+        }
+        if (url.searchParams.get('api_key') !== this.apiKey) {
+            return this.send(req, res, 401, { success: false, status_code: 7, status_message: 'Invalid API key: You must be granted a valid key.' })
+        }
+
+        let route = this.routes.filter(candidate => candidate.path.test(url.pathname))[0]
+        let data = route && req.method === 'GET' ? route.handler(route.path.exec(url.pathname), url.searchParams) : null
+        if (data === null) {
+            return this.send(req, res, 404, { success: false, status_code: 34, status_message: 'The resource you requested could not be found.' })
+        }
+        this.send(req, res, 200, data)
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<FakeTMDbServer>} Resolves once the server listens
+     */
+    start () {
+        return APIServer.listen(this.server, this.port, this.host).then(port => {
+            this.port = port
+            return this
+        })
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise} Resolves once all connections are closed
+     */
+    stop () {
+        return APIServer.close(this.server)
+    }
+}
+
+module.exports = {
+    FakeTMDbServer,
+    createDefaultFixtures,
+    daysFromNow
+}
@@ -0,0 +1,96 @@
+/**
+ * In memory stand-in for the DBmngr DAO, writer and reader, understanding the statements of migrations.js
+ */
+class MemoryDb {
+    constructor () {
+        this.tables = {}
+        this.indexes = {}
+        this.dao = {
+            run: (sql, params=[]) => this.run(sql, params),
+            all: sql => this.all(sql)
+        }
+        this.writer = {
+            createTable: (table, cols) => {
+                this.tables[table] = { cols: ['id'].concat(cols), rows: [] }
+                return Promise.resolve()
+            },
+            insertRow: (table, cols, values) => {
+                let rows = this.tables[table].rows
+                let row = { id: rows.length ? rows[rows.length - 1].id + 1 : 1 }
+                cols.forEach((col, i) => {
+                    row[col] = values[i]
+                })
+                rows.push(row)
+                return Promise.resolve()
+            },
+            updateRow: (table, cols, values, whereCol, whereValue) => {
+                this.tables[table].rows.filter(row => String(row[whereCol]) === String(whereValue)).forEach(row => {
+                    cols.forEach((col, i) => {
+                        row[col] = values[i]
+                    })
+                })
+                return Promise.resolve()
+            }
+        }
+        this.reader = {
+            readAllRows: (table, cols) => Promise.resolve(this.tables[table].rows.map(row => {
+                return cols.reduce((copy, col) => Object.assign(copy, { [col]: row[col] }), { id: row.id })
+            }))
+        }
+    }
+
+    /**
+     * Create a table with rows, like a database of an older version
+     * @param {string} table Table name
+     * @param {Array<string>} cols Column names (without id)
+     * @param {Array<Object>} rows Rows
+     */
+    seed (table, cols, rows) {
+        this.tables[table] = { cols: ['id'].concat(cols), rows: rows.map((row, i) => Object.assign({ id: i + 1 }, row)) }
+    }
+
+    /**
+     * Run a statement without result
+     * @param {string} sql Statement
+     * @param {Array} params Values of the placeholders
+     */
+    run (sql, params) {
+        let match = /^ALTER TABLE (\w+) ADD COLUMN (\w+) \w+$/.exec(sql)
+        if (match) {
+            this.tables[match[1]].cols.push(match[2])
+            return Promise.resolve()
+        }
+        match = /^CREATE (UNIQUE )?INDEX IF NOT EXISTS (\w+) ON (\w+) \(([\w, ]+)\)$/.exec(sql)
+        if (match) {
+            this.indexes[match[2]] = { table: match[3], cols: match[4].split(', '), unique: !!match[1] }
+            return Promise.resolve()
+        }
+        match = /^DELETE FROM (\w+) WHERE id NOT IN \(SELECT MAX\(id\) FROM \w+ GROUP BY (\w+)\)$/.exec(sql)
+        if (match) {
+            let table = this.tables[match[1]]
+            table.rows = table.rows.filter(row => !table.rows.some(other => other[match[2]] === row[match[2]] && other.id > row.id))
+            return Promise.resolve()
+        }
+        match = /^UPDATE (\w+) SET (\w+) = \? WHERE \w+ IS NULL$/.exec(sql)
+        if (match) {
+            this.tables[match[1]].rows.forEach(row => {
+                if (row[match[2]] === null || typeof row[match[2]] === 'undefined') row[match[2]] = params[0]
+            })
+            return Promise.resolve()
+        }
+        return Promise.reject(new Error('Statement not supported: ' + sql))
+    }
+
+    /**
+     * Run a query
+     * @param {string} sql Query
+     */
+    all (sql) {
+        if (/FROM sqlite_master/.test(sql)) return Promise.resolve(Object.keys(this.tables).map(name => ({ name: name })))
+        let match = /^PRAGMA table_info\((\w+)\)$/.exec(sql)
+        if (match) return Promise.resolve(this.tables[match[1]] ? this.tables[match[1]].cols.map(name => ({ name: name })) : [])
+        return Promise.reject(new Error('Query not supported: ' + sql))
+    }
+}
+
+module.exports = MemoryDb
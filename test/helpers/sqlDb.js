@@ -0,0 +1,139 @@
+const initSqlJs = require('sql.js/dist/sql-asm.js')
+
+/**
+ * Turn values into ones SQLite can bind, like the sqlite3 driver of DBmngr does
+ * @param {Array} params Values of the placeholders
+ */
+function toSqlValues (params=[]) {
+    return params.map(value => {
+        if (typeof value === 'undefined') return null
+        if (typeof value === 'boolean') return value ? 1 : 0
+        return value
+    })
+}
+
+/**
+ * Create in-memory stand-ins of the DBmngr classes, backed by a real SQLite (sql.js)
+ * Connections to the same path share one database, like files on disk, so every TVspotter needs its own dbPath
+ * @returns {Promise<Object>} DAO, SQLiteWriter and SQLiteReader to pass as the db option of TVspotter
+ */
+function createSqlDb () {
+    return initSqlJs().then(SQL => {
+        let databases = new Map()
+
+        class DAO {
+            /**
+             * Connection to an in-memory database
+             * @param {string} file Path of the database, names it
+             * @param {string} mode CW (create and write) or RO (read only)
+             */
+            constructor (file, mode) {
+                if (!databases.has(file)) {
+                    if (mode === 'RO') throw new Error('SQLITE_CANTOPEN: unable to open database file ' + file)
+                    databases.set(file, new SQL.Database())
+                }
+                this.db = databases.get(file)
+                this.mode = mode
+            }
+
+            /**
+             * Run a statement without result
+             * @param {string} sql Statement
+             * @param {Array} params Values of the placeholders
+             */
+            run (sql, params) {
+                return Promise.resolve().then(() => {
+                    if (this.mode === 'RO') throw new Error('SQLITE_READONLY: attempt to write a readonly database')
+                    this.db.run(sql, toSqlValues(params))
+                })
+            }
+
+            /**
+             * Run a query and get all rows
+             * @param {string} sql Query
+             * @param {Array} params Values of the placeholders
+             */
+            all (sql, params) {
+                return Promise.resolve().then(() => {
+                    let statement = this.db.prepare(sql)
+                    let rows = []
+                    try {
+                        statement.bind(toSqlValues(params))
+                        while (statement.step()) rows.push(statement.getAsObject())
+                    }
+                    finally {
+                        statement.free()
+                    }
+                    return rows
+                })
+            }
+        }
+
+        class SQLiteWriter {
+            /**
+             * Writes tables and rows through a DAO
+             * @param {DAO} dao DAO opened with 'CW'
+             */
+            constructor (dao) {
+                this.dao = dao
+            }
+
+            createTable (table, cols, types) {
+                let defs = cols.map((col, i) => col + ' ' + types[i])
+                return this.dao.run('CREATE TABLE IF NOT EXISTS ' + table + ' (id INTEGER PRIMARY KEY AUTOINCREMENT, ' + defs.join(', ') + ')')
+            }
+
+            dropTable (table) {
+                return this.dao.run('DROP TABLE IF EXISTS ' + table)
+            }
+
+            insertRow (table, cols, values) {
+                return this.dao.run('INSERT INTO ' + table + ' (' + cols.join(', ') + ') VALUES (' + cols.map(() => '?').join(', ') + ')', values)
+            }
+
+            insertMultipleRows (table, cols, rows) {
+                return rows.reduce((chain, values) => chain.then(() => this.insertRow(table, cols, values)), Promise.resolve())
+            }
+
+            updateRow (table, cols, values, whereCol, whereValue) {
+                let sets = cols.map(col => col + ' = ?').join(', ')
+                return this.dao.run('UPDATE ' + table + ' SET ' + sets + ' WHERE ' + whereCol + ' = ?', values.concat([whereValue]))
+            }
+
+            deleteRow (table, col, value) {
+                return this.dao.run('DELETE FROM ' + table + ' WHERE ' + col + ' = ?', [value])
+            }
+
+            serialize () {}
+
+            setWalMode () {
+                return Promise.resolve()
+            }
+
+            closeDb () {
+                return Promise.resolve()
+            }
+        }
+
+        class SQLiteReader {
+            /**
+             * Reads rows through a DAO
+             * @param {DAO} dao DAO of the database
+             */
+            constructor (dao) {
+                this.dao = dao
+            }
+
+            readAllRows (table, cols, options={}) {
+                let order = options.orderBy ? ' ORDER BY ' + options.orderBy + ' ' + (options.orderOrientation || 'ASC') : ''
+                return this.dao.all('SELECT id, ' + cols.join(', ') + ' FROM ' + table + order)
+            }
+        }
+
+        return { DAO, SQLiteWriter, SQLiteReader }
+    })
+}
+
+module.exports = {
+    createSqlDb
+}
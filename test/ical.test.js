@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const ical = require('../ical')
+const DAVClient = require('../dav')
+
+const event = {
+    uid: 'movie-1@tvspotter',
+    start: '2021-03-04',
+    end: '2021-03-05',
+    summary: 'Release; of "X", part 2',
+    description: 'First line\nSecond line, with comma',
+    url: 'https://www.themoviedb.org/movie/1',
+    image: 'https://image.tmdb.org/t/p/w500/poster.jpg',
+    alarms: [{ daysBefore: 1, time: '09:00', action: 'DISPLAY' }]
+}
+
+describe('ical', () => {
+    it('escapes text and folds long lines', () => {
+        let text = 'a,b;c\\d\ne'
+        assert.strictEqual(ical.escapeText(text), 'a\\,b\\;c\\\\d\\ne')
+        assert.strictEqual(ical.unescapeText(ical.escapeText(text)), text)
+
+        let folded = ical.foldLine('DESCRIPTION:' + 'x'.repeat(200))
+        assert.ok(folded.split('\r\n').every(line => Buffer.byteLength(line) <= 75))
+        assert.strictEqual(folded.replace(/\r\n /g, ''), 'DESCRIPTION:' + 'x'.repeat(200))
+    })
+
+    it('formats dates and durations', () => {
+        assert.strictEqual(ical.addDays('2021-02-28', 1), '2021-03-01')
+        assert.strictEqual(ical.formatDuration(-15 * 60), '-PT15H')
+        assert.strictEqual(ical.formatDuration(-(6 * 24 * 60 + 15 * 60)), '-P6DT15H')
+        assert.strictEqual(ical.formatDuration(0), 'PT0M')
+    })
+
+    it('parses the events it builds', () => {
+        let data = ical.buildCalendar([event], { name: 'TVspotter' })
+        let parsed = ical.parseEvents(data)
+        assert.strictEqual(parsed.length, 1)
+        assert.strictEqual(parsed[0].uid, event.uid)
+        assert.strictEqual(parsed[0].summary, event.summary)
+        assert.strictEqual(parsed[0].description, event.description)
+        assert.strictEqual(parsed[0].start, event.start)
+        assert.strictEqual(parsed[0].end, event.end)
+        assert.strictEqual(parsed[0].url, event.url)
+        assert.strictEqual(parsed[0].image, event.image)
+        assert.strictEqual(ical.parseCalendar(data).components.filter(c => c.name === 'VEVENT')[0].components[0].name, 'VALARM')
+    })
+
+    it('only sets a METHOD if asked to', () => {
+        assert.ok(!/^METHOD:/m.test(ical.buildCalendar([event])))
+        assert.ok(/^METHOD:PUBLISH\r$/m.test(ical.buildCalendar([event], { method: 'PUBLISH' })))
+    })
+
+    it('creates CalDAV objects without a METHOD', () => {
+        let client = { client: { createCalendarObject: (calendar, options) => Promise.resolve(options) } }
+        return DAVClient.prototype.createEvent.call(client, {}, Object.assign({}, event, { end: event.start })).then(options => {
+            assert.strictEqual(options.filename, event.uid + '.ics')
+            assert.ok(!/^METHOD:/m.test(options.data))
+            // the end of the event data is inclusive, DTEND is not
+            assert.strictEqual(ical.parseEvents(options.data)[0].end, '2021-03-05')
+        })
+    })
+})
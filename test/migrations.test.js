@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const { SchemaMigrator, latestVersion, migrations } = require('../migrations')
+const { decodeStatus } = require('../status')
+const MemoryDb = require('./helpers/memoryDb')
+
+const baselineMovieCols = ['tmdbId', 'name', 'originalName', 'firstRelease', 'theatricalRelease', 'digitalPhysicalRelease', 'poster', 'backdrop', 'status']
+const baselineTVCols = ['tmdbId', 'name', 'originalName', 'firstRelease', 'nextRelease', 'nextEpisode', 'poster', 'backdrop', 'status']
+
+/**
+ * Database as the version before the schema versioning left it
+ */
+function createBaselineDb () {
+    let db = new MemoryDb()
+    db.seed('movies', baselineMovieCols, [
+        { tmdbId: 1, name: 'Released', theatricalRelease: '2020-01-10', digitalPhysicalRelease: '2020-05-01', status: 11 },
+        { tmdbId: 2, name: 'On disc', theatricalRelease: '2020-01-10', digitalPhysicalRelease: '2020-05-01', status: 12 },
+        { tmdbId: 3, name: 'In cinemas soon', theatricalRelease: '2021-03-04', digitalPhysicalRelease: '', status: 213 },
+        { tmdbId: 4, name: 'Streaming soon', theatricalRelease: '2020-12-01', digitalPhysicalRelease: '2021-03-09', status: 228 },
+        { tmdbId: 5, name: 'Far away', theatricalRelease: '2021-06-01', digitalPhysicalRelease: '', status: 3192 },
+        { tmdbId: 6, name: 'Unknown', status: -1 }
+    ])
+    db.seed('tv', baselineTVCols, [
+        { tmdbId: 10, name: 'Ended', status: 0 },
+        { tmdbId: 11, name: 'Airing', nextRelease: '2021-03-03', nextEpisode: 'S01E02', status: 202 },
+        { tmdbId: 12, name: 'Later', nextRelease: '2021-04-20', nextEpisode: 'S02E01', status: 3050 }
+    ])
+    return db
+}
+
+/**
+ * Run the migrations up to a version
+ * @param {MemoryDb} db Database
+ * @param {Number} version Last version to apply
+ */
+function migrateTo (db, version) {
+    let list = migrations.filter(migration => migration.version <= version)
+    return new SchemaMigrator(db.dao, db.writer, db.reader, list).migrate()
+}
+
+describe('migrations', () => {
+    it('converts the statuses of the baseline integer scheme (v3)', async () => {
+        let db = createBaselineDb()
+        assert.deepStrictEqual(await migrateTo(db, 3), { from: 0, to: 3, applied: [1, 2, 3] })
+
+        let movies = db.tables.movies.rows.map(row => decodeStatus(row.status, 'movie'))
+        assert.deepStrictEqual(movies, [
+            { state: 'released', kind: 'theatrical', daysRemaining: null, date: null },
+            { state: 'released', kind: 'physical', daysRemaining: null, date: null },
+            { state: 'close', kind: 'theatrical', daysRemaining: 3, date: '2021-03-04' },
+            { state: 'close', kind: 'physical', daysRemaining: 8, date: '2021-03-09' },
+            { state: 'upcoming', kind: 'theatrical', daysRemaining: 92, date: '2021-06-01' },
+            { state: 'unknown', kind: null, daysRemaining: null, date: null }
+        ])
+
+        let shows = db.tables.tv.rows.map(row => decodeStatus(row.status, 'tv'))
+        assert.deepStrictEqual(shows, [
+            { state: 'ended', kind: 'episode', daysRemaining: null, date: null },
+            { state: 'close', kind: 'episode', daysRemaining: 2, date: '2021-03-03' },
+            { state: 'upcoming', kind: 'episode', daysRemaining: 50, date: '2021-04-20' }
+        ])
+    })
+
+    it('brings a baseline database to the latest version without losing rows', async () => {
+        let db = createBaselineDb()
+        let result = await migrateTo(db, latestVersion)
+        assert.strictEqual(result.to, latestVersion)
+        assert.strictEqual(db.tables.movies.rows.length, 6)
+
+        // the status columns are copied for the watchlist queries (v9)
+        let close = db.tables.movies.rows.find(row => row.tmdbId === 4)
+        assert.strictEqual(close.state, 'close')
+        assert.strictEqual(close.releaseDate, '2021-03-09')
+
+        // everything stored before there were users belongs to the default user (v10)
+        assert.deepStrictEqual(db.tables.watchlist.rows.map(row => row.user + ' ' + row.itemKey), [
+            'default movie:1', 'default movie:2', 'default movie:3', 'default movie:4', 'default movie:5', 'default movie:6',
+            'default tv:10', 'default tv:11', 'default tv:12'
+        ])
+        assert.ok(db.indexes.movies_tmdbId.unique)
+    })
+
+    it('only applies the missing migrations', async () => {
+        let db = createBaselineDb()
+        await migrateTo(db, 5)
+        let result = await migrateTo(db, latestVersion)
+        assert.strictEqual(result.from, 5)
+        assert.deepStrictEqual(result.applied, migrations.filter(migration => migration.version > 5).map(migration => migration.version))
+        assert.deepStrictEqual(await migrateTo(db, latestVersion), { from: latestVersion, to: latestVersion, applied: [] })
+    })
+
+    it('removes duplicate items before the unique index is created (v8)', async () => {
+        let db = createBaselineDb()
+        db.tables.movies.rows.push({ id: 7, tmdbId: 1, name: 'Released again', status: 11 })
+        await migrateTo(db, latestVersion)
+        assert.deepStrictEqual(db.tables.movies.rows.filter(row => row.tmdbId === 1).map(row => row.name), ['Released again'])
+    })
+})
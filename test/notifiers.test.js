@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const { Headers } = require('node-fetch')
+const { Notifier, createNotifier } = require('../notifiers')
+
+const notification = {
+    key: { tmdbId: 550, mode: 'movie', releaseType: 'digital', user: 'default' },
+    title: 'Fight Club (Digital)',
+    description: 'Digital release in 3 days',
+    date: '2021-03-04',
+    url: 'https://www.themoviedb.org/movie/550',
+    image: null
+}
+
+/**
+ * fetch stand-in that records the requests and answers with the given status
+ * @param {Number} status HTTP status of the answers
+ */
+function createFetch (status=200) {
+    let fetch = (url, options) => {
+        fetch.requests.push({ url: url, options: options })
+        return Promise.resolve({ ok: status >= 200 && status < 300, status: status })
+    }
+    fetch.requests = []
+    return fetch
+}
+
+describe('notifiers', () => {
+    it('posts the notification to a webhook', async () => {
+        let fetch = createFetch()
+        let notifier = createNotifier({ type: 'webhook', url: 'https://example.com/hook', headers: { 'X-Secret': 's' }, fetch: fetch })
+        assert.strictEqual(notifier.name, 'webhook')
+        await notifier.notify(notification)
+        let request = fetch.requests[0]
+        assert.strictEqual(request.url, 'https://example.com/hook')
+        assert.strictEqual(request.options.method, 'POST')
+        assert.strictEqual(request.options.headers['X-Secret'], 's')
+        assert.deepStrictEqual(JSON.parse(request.options.body), notification)
+    })
+
+    it('publishes to ntfy, gotify and matrix', async () => {
+        let fetch = createFetch()
+        await createNotifier({ type: 'ntfy', url: 'https://ntfy.sh/', topic: 'my releases', priority: 4, fetch: fetch }).notify(notification)
+        await createNotifier({ type: 'gotify', url: 'https://gotify.example.com', token: 't', fetch: fetch }).notify(notification)
+        await createNotifier({ type: 'matrix', url: 'https://matrix.example.com', accessToken: 'a', roomId: '!r:example.com', fetch: fetch }).notify(notification)
+
+        let [ntfy, gotify, matrix] = fetch.requests
+        assert.strictEqual(ntfy.url, 'https://ntfy.sh/my%20releases')
+        assert.strictEqual(ntfy.options.headers.Title, notification.title)
+        assert.strictEqual(ntfy.options.headers.Click, notification.url)
+        assert.strictEqual(ntfy.options.headers.Priority, '4')
+        assert.strictEqual(ntfy.options.body, notification.description + '\n\n' + notification.url)
+        assert.strictEqual(gotify.url, 'https://gotify.example.com/message')
+        assert.strictEqual(gotify.options.headers['X-Gotify-Key'], 't')
+        assert.strictEqual(JSON.parse(gotify.options.body).priority, 5)
+        assert.match(matrix.url, /^https:\/\/matrix\.example\.com\/_matrix\/client\/v3\/rooms\/!r%3Aexample\.com\/send\/m\.room\.message\//)
+        assert.strictEqual(matrix.options.method, 'PUT')
+        assert.strictEqual(matrix.options.headers.Authorization, 'Bearer a')
+    })
+
+    it('encodes titles that are not ASCII for ntfy', async () => {
+        let fetch = createFetch()
+        let title = 'Amélie – 天気の子 (Digital)'
+        await createNotifier({ type: 'ntfy', topic: 'releases', fetch: fetch }).notify(Object.assign({}, notification, { title: title }))
+        let header = fetch.requests[0].options.headers.Title
+        assert.match(header, /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/)
+        assert.strictEqual(Buffer.from(header.slice(10, -2), 'base64').toString('utf8'), title)
+        // node-fetch throws on header values beyond Latin-1
+        assert.doesNotThrow(() => new Headers({ Title: header }))
+        assert.throws(() => new Headers({ Title: title }))
+    })
+
+    it('sends an email', async () => {
+        let notifier = createNotifier({ type: 'email', host: 'smtp.example.com', from: 'tvspotter@example.com', to: ['a@example.com', 'b@example.com'] })
+        assert.strictEqual(notifier.name, 'email')
+        let mails = []
+        notifier.transport = { sendMail: mail => {
+            mails.push(mail)
+            return Promise.resolve({ messageId: '<1@example.com>' })
+        } }
+        await notifier.notify(notification)
+        assert.deepStrictEqual(mails, [{
+            from: 'tvspotter@example.com',
+            to: ['a@example.com', 'b@example.com'],
+            subject: notification.title,
+            text: notification.description + '\n\n' + notification.url
+        }])
+
+        notifier.transport = { sendMail: () => Promise.reject(new Error('Invalid login: 535 Authentication failed')) }
+        await assert.rejects(notifier.notify(notification), /Authentication failed/)
+    })
+
+    it('does not show the secret part of URLs in errors', async () => {
+        let url = 'https://hooks.example.com/services/T000/B000/secret-token'
+        let failing = createNotifier({ type: 'webhook', url: url, fetch: createFetch(403) })
+        await assert.rejects(failing.notify(notification), err => {
+            assert.strictEqual(err.message, 'Request to https://hooks.example.com failed with status 403')
+            return true
+        })
+
+        let unreachable = createNotifier({ type: 'webhook', url: url, fetch: target => Promise.reject(new Error('request to ' + target + ' failed, reason: ECONNREFUSED')) })
+        await assert.rejects(unreachable.notify(notification), err => {
+            assert.ok(!err.message.includes('secret-token'), err.message)
+            assert.match(err.message, /ECONNREFUSED/)
+            return true
+        })
+    })
+
+    it('validates the configuration', () => {
+        assert.throws(() => createNotifier({ type: 'pager' }), /Unknown notifier type: pager/)
+        assert.throws(() => createNotifier({ type: 'webhook' }), /needs a url/)
+        assert.throws(() => createNotifier({ type: 'ntfy' }), /needs a topic/)
+        assert.throws(() => createNotifier({ type: 'email', host: 'smtp.example.com' }), /needs host, from and to/)
+
+        let custom = new Notifier({ name: 'custom' })
+        assert.strictEqual(createNotifier(custom), custom)
+        return assert.rejects(custom.notify(notification), /does not implement notify/)
+    })
+})
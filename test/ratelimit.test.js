@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const RateLimiter = require('../ratelimit')
+
+describe('RateLimiter', () => {
+    it('starts at most maxRequests tasks per interval, in order', async () => {
+        let limiter = new RateLimiter({ maxRequests: 2, interval: 100 })
+        let starts = []
+        let begin = Date.now()
+        let results = await Promise.all([1, 2, 3, 4, 5].map(n => limiter.schedule(() => {
+            starts.push({ n: n, at: Date.now() - begin })
+            return Promise.resolve(n * 10)
+        })))
+
+        assert.deepStrictEqual(results, [10, 20, 30, 40, 50])
+        assert.deepStrictEqual(starts.map(start => start.n), [1, 2, 3, 4, 5])
+        assert.ok(starts[1].at < 50, 'first two start right away')
+        assert.ok(starts[2].at >= 95, 'third waits for the interval, started after ' + starts[2].at)
+        assert.ok(starts[4].at >= 195, 'fifth waits for two intervals, started after ' + starts[4].at)
+    })
+
+    it('passes failures of a task on without blocking the queue', async () => {
+        let limiter = new RateLimiter({ maxRequests: 10, interval: 100 })
+        let failed = limiter.schedule(() => Promise.reject(new Error('boom')))
+        let next = limiter.schedule(() => 'next')
+        await assert.rejects(failed, /boom/)
+        assert.strictEqual(await next, 'next')
+    })
+
+    it('waits while paused', async () => {
+        let limiter = new RateLimiter({ maxRequests: 10, interval: 100 })
+        let begin = Date.now()
+        limiter.pause(80)
+        await limiter.schedule(() => null)
+        assert.ok(Date.now() - begin >= 75, 'started after ' + (Date.now() - begin))
+    })
+})
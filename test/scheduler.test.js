@@ -0,0 +1,163 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const Scheduler = require('../scheduler')
+
+/**
+ * Clock whose time only moves when told to, timers fire once their time is reached
+ * @param {string} start ISO date to start at
+ */
+function createFakeClock (start) {
+    let clock = {
+        time: new Date(start).getTime(),
+        timers: [],
+        now: () => new Date(clock.time),
+        setTimeout: (fn, ms) => {
+            let timer = { fn: fn, ms: ms, at: clock.time + ms }
+            clock.timers.push(timer)
+            return timer
+        },
+        clearTimeout: timer => {
+            clock.timers = clock.timers.filter(other => other !== timer)
+        },
+        advance: ms => {
+            let end = clock.time + ms
+            let due = null
+            while ((due = clock.timers.filter(timer => timer.at <= end).sort((a, b) => a.at - b.at)[0])) {
+                clock.timers = clock.timers.filter(timer => timer !== due)
+                clock.time = due.at
+                due.fn()
+            }
+            clock.time = end
+        }
+    }
+    return clock
+}
+
+/**
+ * TVspotter stand-in that only counts refreshAll calls
+ */
+function createSpotter () {
+    let spotter = {
+        runs: 0,
+        refreshAll: days => {
+            spotter.runs++
+            return Promise.resolve({ checked: 0, changed: [], unchanged: [], failed: [], days: days })
+        }
+    }
+    return spotter
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+function flush () {
+    return new Promise(resolve => setImmediate(resolve))
+}
+
+describe('Scheduler', () => {
+    it('plans runs from durations and milliseconds', () => {
+        let clock = createFakeClock('2021-03-01T10:00:00')
+        let scheduler = new Scheduler(createSpotter(), { interval: '6h', clock: clock }).start()
+        assert.strictEqual(scheduler.nextRun.getTime(), new Date('2021-03-01T16:00:00').getTime())
+        scheduler.stop()
+
+        scheduler = new Scheduler(createSpotter(), { interval: 5000, clock: clock }).start()
+        assert.strictEqual(scheduler.nextRun.getTime() - clock.time, 5000)
+        scheduler.stop()
+        assert.strictEqual(clock.timers.length, 0)
+    })
+
+    it('plans runs from cron expressions', () => {
+        let clock = createFakeClock('2021-03-01T10:00:00')
+        let scheduler = new Scheduler(createSpotter(), { interval: '30 6 * * 1', clock: clock }).start()
+        // 2021-03-01 is a monday, 06:30 has passed already
+        assert.strictEqual(scheduler.nextRun.getTime(), new Date('2021-03-08T06:30:00').getTime())
+        scheduler.stop()
+    })
+
+    it('rejects invalid intervals', () => {
+        assert.throws(() => new Scheduler(createSpotter(), { interval: 0 }), /greater than 0/)
+        assert.throws(() => new Scheduler(createSpotter(), { interval: '61 * * * *' }), /Invalid cron field/)
+        assert.throws(() => new Scheduler(createSpotter(), { interval: '* * *' }), /5 fields/)
+    })
+
+    it('refreshes when the planned run is reached and plans the next one', async () => {
+        let clock = createFakeClock('2021-03-01T10:00:00')
+        let spotter = createSpotter()
+        let summaries = []
+        let scheduler = new Scheduler(spotter, { interval: '1h', maxDaysDifference: 3, clock: clock })
+        scheduler.on('refresh', summary => summaries.push(summary))
+        scheduler.start()
+
+        clock.advance(59 * 60 * 1000)
+        await flush()
+        assert.strictEqual(spotter.runs, 0)
+
+        clock.advance(60 * 1000)
+        await flush()
+        assert.strictEqual(spotter.runs, 1)
+        assert.strictEqual(summaries[0].days, 3)
+        assert.strictEqual(scheduler.nextRun.getTime(), new Date('2021-03-01T12:00:00').getTime())
+        scheduler.stop()
+    })
+
+    it('never waits longer than setTimeout supports', async () => {
+        let clock = createFakeClock('2021-03-01T10:00:00')
+        let spotter = createSpotter()
+        let scheduler = new Scheduler(spotter, { interval: '0 6 1 1 *', clock: clock }).start()
+        assert.ok(clock.timers[0].ms <= 2 ** 31 - 1)
+
+        // the first timer fires after ~24.8 days, the run is still months away
+        clock.advance(2 ** 31 - 1)
+        await flush()
+        assert.strictEqual(spotter.runs, 0)
+        assert.strictEqual(clock.timers.length, 1)
+
+        clock.advance(new Date('2022-01-01T06:00:00').getTime() - clock.time)
+        await flush()
+        assert.strictEqual(spotter.runs, 1)
+        assert.strictEqual(scheduler.nextRun.getTime(), new Date('2023-01-01T06:00:00').getTime())
+        scheduler.stop()
+    })
+
+    it('waits long durations in steps as well', async () => {
+        let clock = createFakeClock('2021-03-01T10:00:00')
+        let spotter = createSpotter()
+        let scheduler = new Scheduler(spotter, { interval: '30d', clock: clock }).start()
+        clock.advance(29 * 24 * 60 * 60 * 1000)
+        await flush()
+        assert.strictEqual(spotter.runs, 0)
+        clock.advance(24 * 60 * 60 * 1000)
+        await flush()
+        assert.strictEqual(spotter.runs, 1)
+        scheduler.stop()
+    })
+
+    it('skips a run while the previous one is still in progress', async () => {
+        let finish = null
+        let spotter = {
+            runs: 0,
+            refreshAll: () => {
+                spotter.runs++
+                return new Promise(resolve => {
+                    finish = resolve
+                })
+            }
+        }
+        let scheduler = new Scheduler(spotter, { clock: createFakeClock('2021-03-01T10:00:00') })
+        let first = scheduler.runNow()
+        assert.strictEqual(await scheduler.runNow(), null)
+        finish({ checked: 1 })
+        assert.deepStrictEqual(await first, { checked: 1 })
+        assert.strictEqual(spotter.runs, 1)
+    })
+
+    it('reports failed runs as error events', async () => {
+        let spotter = { refreshAll: () => Promise.reject(new Error('TMDb down')) }
+        let scheduler = new Scheduler(spotter, { clock: createFakeClock('2021-03-01T10:00:00') })
+        let errors = []
+        scheduler.on('error', err => errors.push(err.message))
+        assert.strictEqual(await scheduler.runNow(), null)
+        assert.deepStrictEqual(errors, ['TMDb down'])
+    })
+})
@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('assert')
+const APIServer = require('../server')
+const { TMDbNotFoundError, UnknownUserError } = require('../errors')
+
+/**
+ * TVspotter stand-in that records the calls of the routes
+ */
+const spotter = {
+    calls: [],
+    track (id, mode, days, user) {
+        this.calls.push(['track', id, mode, days, user])
+        return Promise.resolve({ tmdbId: id, mode: mode })
+    },
+    checkItem (id, mode) {
+        if (id === 404) return Promise.reject(new TMDbNotFoundError('Not found'))
+        return Promise.resolve({ tmdbId: id, mode: mode })
+    },
+    readMovies (query) {
+        if (query.user && query.user !== 'anna') return Promise.reject(new UnknownUserError(query.user, ['default', 'anna']))
+        if (query.sortBy === 'x') return Promise.reject(new Error('Invalid sortBy: x'))
+        return Promise.resolve([])
+    },
+    exportCalendar () {
+        return Promise.resolve('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n')
+    }
+}
+
+describe('APIServer', () => {
+    let server = null
+    let request = (path, options={}) => fetch('http://127.0.0.1:' + server.port + path, Object.assign({
+        headers: { Authorization: 'Bearer secret', 'Content-Type': 'application/json' }
+    }, options)).then(res => res.text().then(text => ({ status: res.status, headers: res.headers, text: text })))
+
+    before(() => new APIServer(spotter, { port: 0, token: 'secret' }).start().then(started => {
+        server = started
+    }))
+    after(() => server.stop())
+
+    it('requires the token', async () => {
+        let res = await request('/users', { headers: {} })
+        assert.strictEqual(res.status, 401)
+        res = await request('/calendar.ics?token=secret', { headers: {} })
+        assert.strictEqual(res.status, 200)
+        assert.match(res.headers.get('content-type'), /^text\/calendar/)
+    })
+
+    it('answers unknown paths and methods', async () => {
+        assert.strictEqual((await request('/nothing')).status, 404)
+        let res = await request('/refresh')
+        assert.strictEqual(res.status, 405)
+        assert.strictEqual(res.headers.get('allow'), 'POST')
+    })
+
+    it('passes the JSON body on', async () => {
+        let res = await request('/watchlist/movies', { method: 'POST', body: JSON.stringify({ id: 550, maxDaysDifference: 3, user: 'anna' }) })
+        assert.strictEqual(res.status, 200)
+        assert.deepStrictEqual(spotter.calls.pop(), ['track', 550, 'movie', 3, 'anna'])
+    })
+
+    it('rejects bodies that are not JSON objects', async () => {
+        for (let body of ['{', 'null', '42', '"movie"', '[550]']) {
+            let res = await request('/watchlist/movies', { method: 'POST', body: body })
+            assert.strictEqual(res.status, 400, body)
+        }
+        assert.strictEqual(spotter.calls.length, 0)
+    })
+
+    it('answers bodies that are too large', async () => {
+        let res = await request('/watchlist/movies', { method: 'POST', body: JSON.stringify({ id: 550, padding: 'x'.repeat(2 * 1024 * 1024) }) })
+        assert.strictEqual(res.status, 413)
+        assert.strictEqual(res.headers.get('connection'), 'close')
+        assert.strictEqual(JSON.parse(res.text).error, 'Request body too large')
+        assert.strictEqual(spotter.calls.length, 0)
+    })
+
+    it('maps errors to status codes', async () => {
+        let res = await request('/check/movies/404', { method: 'POST' })
+        assert.strictEqual(res.status, 404)
+        assert.strictEqual(JSON.parse(res.text).code, 'TMDB_NOT_FOUND')
+        assert.strictEqual((await request('/watchlist/movies?sortBy=x')).status, 400)
+        res = await request('/watchlist/movies?user=zed')
+        assert.strictEqual(res.status, 404)
+        assert.strictEqual(JSON.parse(res.text).code, 'UNKNOWN_USER')
+        assert.strictEqual((await request('/watchlist/movies', { method: 'POST', body: '{"id":"abc"}' })).status, 400)
+    })
+})
@@ -0,0 +1,355 @@
+const { describe, it, before, after, mock } = require('node:test')
+const assert = require('assert')
+const TVspotter = require('../index')
+const { states, createStatus } = require('../status')
+const { FakeTMDbServer, createDefaultFixtures, daysFromNow } = require('./helpers/fakeTmdb')
+const { FakeDavClient } = require('./helpers/fakeDav')
+const { createSqlDb } = require('./helpers/sqlDb')
+
+describe('TVspotter', () => {
+    let fake = null
+    let db = null
+    let dbCount = 0
+    before(() => Promise.all([new FakeTMDbServer().start(), createSqlDb()]).then(([started, classes]) => {
+        fake = started
+        db = classes
+    }))
+    after(() => fake.stop())
+
+    /**
+     * Create a TVspotter on the fake TMDb server, a fake calendar and a fresh in-memory database
+     * @param {Object} options Further options of TVspotter
+     * @returns {Promise<TVspotter>} Ready instance, its calendar client is davClient
+     */
+    let createSpotter = (options={}) => {
+        fake.fixtures = createDefaultFixtures()
+        return TVspotter.create(Object.assign({
+            apiKey: 'test-key',
+            tmdbBaseUri: fake.getBaseUri(),
+            cache: false,
+            retries: 0,
+            davClient: new FakeDavClient(),
+            db: db,
+            dbPath: 'spotter-' + (++dbCount)
+        }, options))
+    }
+
+    it('tracks a movie with a close release', async () => {
+        let spotter = await createSpotter()
+        let result = await spotter.track(1001, 'movie')
+        assert.strictEqual(result.name, 'Fixture Movie')
+        assert.strictEqual(result.region, 'US')
+        assert.strictEqual(result.theatricalRelease, daysFromNow(3))
+        assert.strictEqual(result.digitalRelease, daysFromNow(30))
+        assert.strictEqual(result.status.state, states.CLOSE)
+        assert.strictEqual(result.status.kind, 'theatrical')
+        assert.strictEqual(result.status.daysRemaining, 3)
+
+        // only the close release gets an event
+        assert.deepStrictEqual(spotter.client.getEvents().map(event => event.start), [daysFromNow(3)])
+        let stored = await spotter.readMovies()
+        assert.deepStrictEqual(stored.map(row => [row.tmdbId, row.state, row.releaseDate]), [[1001, states.CLOSE, daysFromNow(3)]])
+        assert.ok(await spotter.checkIfStored(1001, 'movie'))
+        await spotter.close()
+    })
+
+    it('keeps a release close for the whole release day', async () => {
+        mock.timers.enable({ apis: ['Date'], now: new Date('2024-05-10T15:30:00.000Z') })
+        try {
+            let spotter = await createSpotter()
+            assert.deepStrictEqual(spotter.isReleaseClose(new Date(), '2024-05-10', 7), { isClose: true, difference: 0 })
+            assert.deepStrictEqual(spotter.isReleaseClose(new Date(), '2024-05-11', 7), { isClose: true, difference: 1 })
+            assert.deepStrictEqual(spotter.isReleaseClose('2024-05-10', '2024-05-09', 7), { isClose: true, difference: -1 })
+
+            fake.fixtures.movies[1001].releases[0].release_dates[0].release_date = '2024-05-10T00:00:00.000Z'
+            let result = await spotter.track(1001, 'movie')
+            assert.strictEqual(result.status.state, states.CLOSE)
+            assert.strictEqual(result.status.daysRemaining, 0)
+            assert.deepStrictEqual(spotter.client.getEvents().map(event => event.start), ['2024-05-10'])
+            await spotter.close()
+        }
+        finally {
+            mock.timers.reset()
+        }
+    })
+
+    it('checks a running show and an ended one', async () => {
+        let spotter = await createSpotter()
+        let result = await spotter.checkTV(2001, 7)
+        assert.strictEqual(result.nextEpisode, 'S02E02')
+        assert.strictEqual(result.nextRelease, daysFromNow(2))
+        assert.strictEqual(result.status.state, states.CLOSE)
+        // every upcoming episode gets an event, aired ones do not
+        assert.deepStrictEqual(spotter.client.getEvents().map(event => event.start).sort(), [daysFromNow(2), daysFromNow(9)])
+        assert.deepStrictEqual((await spotter.readEpisodes(2001)).map(ep => ep.episode), ['S02E02', 'S02E03'])
+
+        let ended = await spotter.checkTV(2002, 7)
+        assert.strictEqual(ended.status.state, states.ENDED)
+        await spotter.close()
+    })
+
+    it('checks for every user on their own if the calendar of one fails', async () => {
+        let annasClient = new FakeDavClient({ name: 'Anna' })
+        let spotter = await createSpotter({ users: [{ name: 'anna', davClient: annasClient }] })
+        await spotter.track(1001, 'movie')
+        await spotter.track(1001, 'movie', 7, 'anna')
+        await spotter.track(2001, 'tv')
+        await spotter.track(2001, 'tv', 7, 'anna')
+
+        // the calendar of anna breaks down
+        annasClient.failing = true
+        spotter.getUser('anna').calendar = null
+        annasClient.calendar.objects = []
+        spotter.client.calendar.objects = []
+
+        let movie = await spotter.checkMovie(1001, 7)
+        assert.strictEqual(movie.status.state, states.CLOSE)
+        let show = await spotter.checkTV(2001, 7)
+        assert.strictEqual(show.status.state, states.CLOSE)
+        assert.match(spotter.getUser('anna').calendarError.message, /Could not load CalDAV account/)
+        assert.strictEqual(spotter.getUser().calendarError, null)
+        assert.strictEqual(annasClient.getEvents().length, 0)
+        assert.deepStrictEqual(spotter.client.getEvents().map(event => event.start).sort(), [daysFromNow(2), daysFromNow(3), daysFromNow(9)])
+        await spotter.close()
+    })
+
+    it('only reminds of providers that newly offer an item', async () => {
+        let spotter = await createSpotter({ subscribedProviders: [8, 337], providerRegions: ['US'] })
+        let notified = []
+        let notify = spotter.notify.bind(spotter)
+        spotter.notify = notification => {
+            notified.push(notification.key.releaseType)
+            return notify(notification)
+        }
+        let availability = () => spotter.client.getEvents().filter(event => event.summary.startsWith('Fixture Show on '))
+
+        // Netflix offered the show before it was tracked
+        let result = await spotter.track(2001, 'tv')
+        assert.deepStrictEqual(result.providers.map(provider => [provider.id, provider.since]), [[8, null]])
+        assert.deepStrictEqual(availability(), [])
+        assert.deepStrictEqual(notified.filter(type => type.startsWith('provider')), [])
+
+        let providers = fake.fixtures.tv[2001].providers
+        providers.US.flatrate.push({ provider_id: 337, provider_name: 'Disney Plus', logo_path: '/disney.jpg', display_priority: 3 })
+        fake.setProviders('tv', 2001, providers)
+        result = await spotter.checkTV(2001, 7)
+        assert.deepStrictEqual(result.providers.map(provider => [provider.id, provider.since]), [[8, null], [337, daysFromNow(0)]])
+        assert.deepStrictEqual(availability().map(event => event.start), [daysFromNow(0)])
+        assert.match(availability()[0].summary, /Disney Plus/)
+        assert.deepStrictEqual(notified.filter(type => type.startsWith('provider')), ['provider:337'])
+        await spotter.close()
+    })
+
+    it('writes what changed back on refresh', async () => {
+        let spotter = await createSpotter()
+        await spotter.track(1001, 'movie')
+        await spotter.track(2001, 'tv')
+
+        // the theatrical release moves back by a week
+        let movie = fake.fixtures.movies[1001]
+        movie.releases[0].release_dates[0].release_date = daysFromNow(10) + 'T00:00:00.000Z'
+        fake.addMovie(movie.details, movie.releases)
+
+        let summary = await spotter.refreshAll(7)
+        assert.strictEqual(summary.checked, 2)
+        assert.deepStrictEqual(summary.failed, [])
+        assert.deepStrictEqual(summary.unchanged, [2001])
+        assert.strictEqual(summary.changed.length, 1)
+        assert.deepStrictEqual(summary.changed[0].changes.map(change => change.field).sort(), ['status', 'theatricalRelease'])
+
+        let stored = await spotter.readStored(1001, 'movie')
+        assert.strictEqual(stored.theatricalRelease, daysFromNow(10))
+        assert.strictEqual(stored.status.state, states.UPCOMING)
+        await spotter.close()
+    })
+
+    it('exports the upcoming releases as feed', async () => {
+        let spotter = await createSpotter()
+        await spotter.track(1001, 'movie')
+        await spotter.track(2001, 'tv')
+        let ics = await spotter.exportCalendar()
+        assert.match(ics, /^BEGIN:VCALENDAR\r\n/)
+        assert.match(ics, /\r\nMETHOD:PUBLISH\r\n/)
+        assert.match(ics, /\r\nX-WR-CALNAME:TVspotter\r\n/)
+        let starts = (ics.match(/^DTSTART;VALUE=DATE:\d+/gm) || []).map(line => line.split(':')[1])
+        let expected = [daysFromNow(2), daysFromNow(3), daysFromNow(9), daysFromNow(30)].map(date => date.replace(/-/g, ''))
+        assert.deepStrictEqual(starts, expected)
+        await spotter.close()
+    })
+})
+
+describe('TVspotter.refreshAll', () => {
+    let db = null
+    let dbCount = 0
+    before(() => createSqlDb().then(classes => { db = classes }))
+
+    /**
+     * Create a movie as sent by the TMDb client
+     * @param {Number} id TMDb ID
+     * @param {string} release Date of the theatrical release in the US
+     */
+    let createMovie = (id, release) => ({
+        details: { id: id, title: 'Movie ' + id, original_title: 'Movie ' + id, release_date: release, poster_path: null, backdrop_path: null },
+        releases: { id: id, results: [{ iso_3166_1: 'US', release_dates: [{ type: 3, release_date: release + 'T00:00:00.000Z', note: '' }] }] }
+    })
+
+    /**
+     * Create a TVspotter whose TMDb client answers from movies, without any server
+     * @param {Object} movies Movies of createMovie keyed by ID, an Error instead lets the requests of that ID fail
+     * @returns {Promise<TVspotter>} Ready instance, updateStored records its calls in spotter.writes
+     */
+    let createSpotter = movies => TVspotter.create({
+        apiKey: 'test-key',
+        tmdbBaseUri: 'http://tmdb.invalid/3/',
+        cache: false,
+        davClient: new FakeDavClient(),
+        db: db,
+        dbPath: 'refresh-' + (++dbCount)
+    }).then(spotter => {
+        let answer = (id, key) => movies[id] instanceof Error ? Promise.reject(movies[id]) : Promise.resolve(movies[id][key])
+        spotter.api.getMovieDetails = id => answer(id, 'details')
+        spotter.api.getMovieReleases = id => answer(id, 'releases')
+        spotter.api.getWatchProviders = () => Promise.resolve({ id: 0, results: {} })
+
+        spotter.writes = []
+        let updateStored = spotter.updateStored.bind(spotter)
+        spotter.updateStored = (tmdbId, newData, mode) => {
+            spotter.writes.push(tmdbId)
+            return updateStored(tmdbId, newData, mode)
+        }
+        return spotter
+    })
+
+    it('does not rewrite unchanged items', async () => {
+        let spotter = await createSpotter({ 1: createMovie(1, daysFromNow(3)) })
+        await spotter.track(1, 'movie')
+        let summary = await spotter.refreshAll(7)
+        assert.strictEqual(summary.checked, 1)
+        assert.deepStrictEqual(summary.unchanged, [1])
+        assert.deepStrictEqual(summary.changed, [])
+        assert.deepStrictEqual(spotter.writes, [])
+        await spotter.close()
+    })
+
+    it('writes a changed date and status back', async () => {
+        let movies = { 1: createMovie(1, daysFromNow(3)) }
+        let spotter = await createSpotter(movies)
+        await spotter.track(1, 'movie')
+        movies[1] = createMovie(1, daysFromNow(20))
+
+        let summary = await spotter.refreshAll(7)
+        assert.deepStrictEqual(summary.changed.map(item => item.tmdbId), [1])
+        let status = summary.changed[0].changes.find(change => change.field === 'status')
+        assert.strictEqual(status.from.state, states.CLOSE)
+        assert.strictEqual(status.to.state, states.UPCOMING)
+        assert.deepStrictEqual(spotter.writes, [1])
+
+        let stored = await spotter.readStored(1, 'movie')
+        assert.strictEqual(stored.theatricalRelease, daysFromNow(20))
+        assert.strictEqual(stored.status.state, states.UPCOMING)
+        await spotter.close()
+    })
+
+    it('records a failing item and refreshes the others', async () => {
+        let movies = {
+            1: createMovie(1, daysFromNow(1)),
+            2: createMovie(2, daysFromNow(3)),
+            3: createMovie(3, daysFromNow(5))
+        }
+        let spotter = await createSpotter(movies)
+        for (let id of [1, 2, 3]) await spotter.track(id, 'movie')
+        // the first one in the list fails, the last one changed
+        let err = new Error('TMDb request failed with 503')
+        err.code = 'ETMDB'
+        movies[1] = err
+        movies[3] = createMovie(3, daysFromNow(4))
+
+        let summary = await spotter.refreshAll(7)
+        assert.strictEqual(summary.checked, 2)
+        assert.deepStrictEqual(summary.failed, [{ tmdbId: 1, name: 'Movie 1', mode: 'movie', error: err.message, code: 'ETMDB' }])
+        assert.deepStrictEqual(summary.unchanged, [2])
+        assert.deepStrictEqual(summary.changed.map(item => item.tmdbId), [3])
+        assert.deepStrictEqual(spotter.writes, [3])
+        assert.strictEqual((await spotter.readStored(1, 'movie')).theatricalRelease, daysFromNow(1))
+        await spotter.close()
+    })
+})
+
+describe('TVspotter calendars', () => {
+    let db = null
+    let dbCount = 0
+    before(() => createSqlDb().then(classes => { db = classes }))
+
+    /**
+     * Create a TVspotter with a default user and the user anna, without TMDb server
+     * @param {Object} clients FakeDavClient of the default user and of anna
+     * @returns {Promise<TVspotter>} See TVspotter.create
+     */
+    let createSpotter = clients => TVspotter.create({
+        apiKey: 'test-key',
+        tmdbBaseUri: 'http://tmdb.invalid/3/',
+        cache: false,
+        davClient: clients.default,
+        users: [{ name: 'anna', davClient: clients.anna }],
+        db: db,
+        dbPath: 'calendars-' + (++dbCount)
+    })
+
+    it('rejects if the default calendar can not be set up', async () => {
+        await assert.rejects(createSpotter({
+            default: new FakeDavClient({ failing: true }),
+            anna: new FakeDavClient()
+        }), /Could not load CalDAV account/)
+    })
+
+    it('sets up the failed default calendar again on the next event', async () => {
+        let client = new FakeDavClient({ failing: true })
+        let spotter = new TVspotter(null, null, null, 'en-US', {
+            apiKey: 'test-key',
+            cache: false,
+            davClient: client,
+            db: db,
+            dbPath: 'calendars-' + (++dbCount)
+        })
+        await assert.rejects(spotter.ready(), /Could not load CalDAV account/)
+        await spotter.dbReady()
+
+        client.failing = false
+        let key = { tmdbId: 1, mode: 'movie', releaseType: 'theatrical' }
+        assert.strictEqual(await spotter.setCalNotification(key, 'Movie 1', '', daysFromNow(3)), true)
+        assert.strictEqual(spotter.getUser().calendarError, null)
+        assert.strictEqual(client.getEvents().length, 1)
+        await spotter.close()
+    })
+
+    it('keeps the failed calendar of another user on the profile', async () => {
+        let spotter = await createSpotter({
+            default: new FakeDavClient(),
+            anna: new FakeDavClient({ failing: true })
+        })
+        assert.ok(spotter.getUser().calendar)
+        assert.strictEqual(spotter.getUser('anna').calendar, null)
+        assert.match(spotter.getUser('anna').calendarError.message, /Could not load CalDAV account/)
+        await spotter.close()
+    })
+})
+
+describe('TVspotter writes', () => {
+    it('writes several items all or none', async () => {
+        let spotter = await TVspotter.create({
+            apiKey: 'test-key',
+            cache: false,
+            db: await createSqlDb(),
+            dbPath: 'writes'
+        })
+        let movie = id => ({ tmdbId: id, name: 'Movie ' + id, status: createStatus({ state: states.UPCOMING, kind: 'theatrical' }) })
+        // values SQLite can not bind let the second row fail
+        await assert.rejects(spotter.storeMovies([movie(1), Object.assign(movie(2), { name: { title: 'Movie 2' } })]))
+        assert.strictEqual(await spotter.readStored(1, 'movie'), null)
+
+        await spotter.storeMovies([movie(1), movie(2)])
+        assert.strictEqual((await spotter.readStored(1, 'movie')).name, 'Movie 1')
+        assert.strictEqual((await spotter.readStored(2, 'movie')).name, 'Movie 2')
+        await spotter.close()
+    })
+})
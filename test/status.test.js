@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const { states, createStatus, serializeStatus, decodeStatus, isSameRelease, describeStatus } = require('../status')
+
+describe('status', () => {
+    it('serialises and decodes status objects', () => {
+        let status = createStatus({ state: states.CLOSE, kind: 'theatrical', daysRemaining: 3, date: '2021-03-04' })
+        assert.deepStrictEqual(decodeStatus(serializeStatus(status), 'movie'), status)
+        assert.deepStrictEqual(decodeStatus(null, 'movie'), createStatus({ state: states.UNKNOWN }))
+        assert.throws(() => createStatus({ state: 'soon' }), /Invalid status state/)
+    })
+
+    it('compares releases without the days remaining', () => {
+        let today = createStatus({ state: states.CLOSE, kind: 'digital', daysRemaining: 3, date: '2021-03-04' })
+        let tomorrow = createStatus({ state: states.CLOSE, kind: 'digital', daysRemaining: 2, date: '2021-03-04' })
+        let moved = createStatus({ state: states.CLOSE, kind: 'digital', daysRemaining: 2, date: '2021-03-03' })
+        assert.ok(isSameRelease(today, tomorrow))
+        assert.ok(!isSameRelease(today, moved))
+        assert.ok(!isSameRelease(today, createStatus({ state: states.UPCOMING, kind: 'digital', daysRemaining: 3, date: '2021-03-04' })))
+    })
+
+    it('describes statuses in words', () => {
+        assert.strictEqual(describeStatus(createStatus({ state: states.CLOSE, kind: 'theatrical', daysRemaining: 1 })), 'Theatrical release tomorrow')
+        assert.strictEqual(describeStatus(createStatus({ state: states.UPCOMING, kind: 'episode', daysRemaining: 12 })), 'Episode in 12 days')
+        assert.strictEqual(describeStatus(createStatus({ state: states.ENDED, kind: 'episode' })), 'Ended')
+    })
+})